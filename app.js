@@ -3,113 +3,331 @@
 
    Responsibilities:
    - Load state + national CSV data
-   - Initialize Leaflet map + state outlines
+   - Initialize Leaflet map + state outlines / choropleth
+   - Switchable (and offline-capable) basemaps, remembered across sessions
+   - Switchable boundary layers with grid-based zonal statistics
    - Optional gridded GeoTIFF overlay with slider + legend
-   - Charts (bar + timeseries) with uncertainty
+   - Pixel inspector (hover readout + click popup) for the grid
+   - Year-over-year change overlay + state change table
+   - Sortable, filterable state ranking table
+   - Year playback (map + charts) with PNG frame export
+   - Custom regions (drawn or uploaded) integrated from the grid
+   - Clustered point-source facility overlay filtered by sector
+   - Swipe comparison of a prior (e.g. GHGI) and its posterior grids
+   - Charts (bar + timeseries) with uncertainty, for one or several places
+   - Normalized metrics (per km², per capita, per unit of sector activity)
+   - Chart units incl. CO2e (GWP100/GWP20, AR5/AR6), mol/s; switchable grid units
+   - Linear trend (with CI from the min/max range) on the timeseries
+   - Stacked sector timeseries (click a band to select the sector)
+   - "Compare sources" charts: a prior next to its posterior
+   - Data sources, years, sectors and files read from the data catalog
+   - User-supplied state CSVs / GeoTIFFs (dropped on the page) as an extra source
+   - CSV / catalog validation with a "Data problems" panel for load errors
    - Export currently displayed chart data as CSV
+   - Permalinks: the URL restores the view; back/forward steps through changes
+   - Export charts as hi-DPI PNG or vector SVG with caption and embedded metadata
    ========================================================= */
 
 /* ===================== CONFIG ===================== */
 
-// Years + paths
-const YEARS = [2019, 2020, 2021, 2022, 2023, 2024];
-const PRIOR_YEARS = [2019, 2020];
-
-const CSV_PATH = (year) => `data/csv/estrada_states_${year}.csv`;
-const NATIONAL_CSV_PATH = "data/csv/national_emissions.csv";
-const NATIONAL_CSV_PATH_PRIOR = "data/csv/national_prior_emissions_2017_2020.csv";
-const NETCDF_PATH = (year, emisSource) =>
-  (emisSource === "ghgi")
-    ? `data/nc/prior_${year}.nc`
-    : `data/nc/posterior_ens_mean_${year}.nc`;
-
+// Data catalog: datasets (years, CSVs, grid keys), sectors and the GeoTIFF entries,
+// written by scripts/build_tiles.py. The first dataset is the default data source.
+const CATALOG_PATH = "data/manifest.json";
+// Normalization denominators: State, Year, population, {sector}_activity. A "National"
+// row is used for the national charts; without one the state rows are summed.
+const DENOMINATORS_CSV_PATH = "data/csv/denominators.csv";
+// Source built from files dropped on the page; it never leaves the browser and is
+// compared against the default source
+const USER_SOURCE = { id: "user", label: "Your data", color: "#d62728", column: "{sector}_posterior" };
+
+// Basemaps. "local" serves XYZ tiles next to the app, e.g. an MBTiles file unpacked
+// with `mb-util --image_format=png basemap.mbtiles data/tiles` (set tms: true for TMS rows)
+const BASEMAPS = {
+  none: { label: "None (state outlines only)" },
+  light: {
+    label: "Light grey",
+    url: "https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png",
+    subdomains: "abcd",
+    attribution: "&copy; OpenStreetMap contributors &copy; CARTO",
+  },
+  osm: {
+    label: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: "&copy; OpenStreetMap contributors",
+  },
+  local: {
+    label: "Local tiles",
+    url: "data/tiles/{z}/{x}/{y}.png",
+    tms: false,
+    attribution: "Local tiles",
+  },
+};
+const DEFAULT_BASEMAP = "osm";
+const MAP_IMAGE_SCALE = 2;          // default resolution multiplier for map PNG export
+const CITATION = "Estrada et al. (2026)";
+const CHART_EXPORT_SCALE = 3;       // device pixel ratio for exported chart images
+// 2D context that records drawing as SVG elements, for vector chart export (loaded on first use)
+const SVG_CONTEXT_MODULE = "https://cdn.jsdelivr.net/npm/svgcanvas@2.6.0/dist/svgcanvas.esm.js";
+const BASEMAP_MAX_ZOOM = 10;
+const BASEMAP_STORAGE_KEY = "ch4-explorer:basemap";
 
 // GeoJSON
 const STATES_GEOJSON_PATH = "data/ne/us_states_simplified.geojson";
 
+// Boundary layers selectable as "places". Layers with `csv: true` read the state
+// CSVs; the others get per-feature totals integrated from the sector GeoTIFFs.
+const BOUNDARY_LAYERS = {
+  states: {
+    label: "States",
+    singular: "State",
+    path: STATES_GEOJSON_PATH,
+    csv: true,
+    name: (p) => p.name || p.NAME || p.STATE_NAME,
+  },
+  counties: {
+    label: "Counties",
+    singular: "County",
+    path: "data/ne/us_counties_simplified.geojson",
+    csv: false,
+    name: (p) => [p.NAME || p.name, p.STATE_NAME || p.STUSPS].filter(Boolean).join(", "),
+  },
+  basins: {
+    label: "Oil & gas basins",
+    singular: "Basin",
+    path: "data/ne/ong_basins.geojson",
+    csv: false,
+    name: (p) => p.name || p.NAME || p.BASIN_NAME,
+  },
+  epa_regions: {
+    label: "EPA regions",
+    singular: "EPA region",
+    path: "data/ne/epa_regions.geojson",
+    csv: false,
+    name: (p) => p.name || p.NAME || `EPA Region ${p.REGION ?? p.EPAREGION}`,
+  },
+};
+const DEFAULT_BOUNDARY = "states";
+
+const BOUNDARY_LINE_COLOR = "#555";
+const BOUNDARY_LINE_WEIGHT = 0.6;
+
 // State outline styling
 const STATES_FILL_OPACITY = 0.0;
 const STATES_LINE_COLOR = "#666";
 const STATES_LINE_WEIGHT = 0.8;
 
-// Scenario naming in state CSV
-const SCENARIO_SUFFIX = "_posterior";
+// Shift/ctrl-click comparison of several places
+const MAX_SELECTED_PLACES = 6;
+const PLACE_COLORS = ["#1f77b4", "#d62728", "#2ca02c", "#ff7f0e", "#9467bd", "#8c564b"];
 
-// Sector inclusion/exclusion + labels
-const DEFAULT_SECTOR = "Total_ExclSoilAbs";
-const EXCLUDED_SECTORS = [
-  "Total",
-  "OtherAnth",
-  "Gas",
-  "Oil",
-  "Lakes",
-  "Seeps",
-  "Termites",
-  "SoilAbsorb",
+// Timeseries trend: min/max is read as a 95% range; small fits without it use Student's t
+const TREND_Z = 1.96;
+const T_975 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228];
+const TREND_COLOR = "#000";
+
+// Stacked sector timeseries
+const SECTOR_STACK_COLORS = [
+  "#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f",
+  "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#bab0ac",
 ];
 
-const SECTOR_LABELS = {
-  ONG: "Oil/Gas",
-  Livestock: "Livestock",
-  Total_ExclSoilAbs: "Total",
+// State choropleth
+const CHOROPLETH_COLORMAP = "ylgnbu";
+const CHOROPLETH_CLASSES = 7;
+const CHOROPLETH_FILL_OPACITY = 0.7;
+const CHOROPLETH_METHOD = "quantile"; // "linear" | "quantile" | "jenks"
+const MAP_LAYERS = "grid";            // "grid" | "choropleth" | "both"
+
+// Sector selected first; also the total the stacked chart's shares are taken of
+const DEFAULT_SECTOR = "Total_ExclSoilAbs";
+
+// Chart units; the CSVs are in Tg CH4/yr and `factor` converts from that
+const CH4_MOLAR_MASS = 16.043;     // g/mol
+const HOURS_PER_YEAR = 8760;       // 365-day year
+const SECONDS_PER_YEAR = HOURS_PER_YEAR * 3600;
+const CHART_UNITS = {
+  Tg: { mass: "Tg", time: "yr", factor: 1 },
+  Gg: { mass: "Gg", time: "yr", factor: 1e3 },
+  t_h: { mass: "t", time: "h", factor: 1e6 / HOURS_PER_YEAR },
+  mol_s: { label: "mol/s", factor: 1e12 / CH4_MOLAR_MASS / SECONDS_PER_YEAR, molar: true },
+};
+const DEFAULT_CHART_UNIT = "Tg";
+
+// CO2-equivalent bases: IPCC AR6 WG1 Table 7.15 and AR5 WG1 Table 8.7 (no climate-carbon feedbacks)
+const GWP_BASES = {
+  none: { label: "CH₄ mass" },
+  ar6_100: { label: "GWP100 (AR6)", factor: 27.9 },
+  ar6_20: { label: "GWP20 (AR6)", factor: 81.2 },
+  ar5_100: { label: "GWP100 (AR5)", factor: 28 },
+  ar5_20: { label: "GWP20 (AR5)", factor: 84 },
 };
 
 // Grid overlay
-const GRID_MANIFEST_PATH = "data/manifest.json";
-const GRID_VAR_BY_SECTOR = {
-  Total_ExclSoilAbs: "EmisCH4_Total",
-  Landfills: "EmisCH4_Landfills",
-  Wastewater: "EmisCH4_Wastewater",
-  Livestock: "EmisCH4_Livestock",
-  Coal: "EmisCH4_Coal",
-  ONG: "EmisCH4_ONG",
-  Rice: "EmisCH4_Rice",
-  BiomassBurning: "EmisCH4_BiomassBurning",
-  Wetlands: "EmisCH4_Wetlands",
-  Reservoirs: "EmisCH4_Reservoirs",
+// Overlay units; the GeoTIFFs are in kg CH4 km-2 h-1 and `factor` converts from that
+const GRID_UNITS = {
+  kg_km2_h: { html: "kg km<sup>-2</sup> h<sup>-1</sup>", factor: 1 },
+  Mg_km2_yr: { html: "Mg km<sup>-2</sup> yr<sup>-1</sup>", factor: HOURS_PER_YEAR / 1000 },
+  nmol_m2_s: { html: "nmol m<sup>-2</sup> s<sup>-1</sup>", factor: 1e6 / (CH4_MOLAR_MASS * 3600) },
 };
-
-const GRID_UNITS_HTML = "kg km<sup>-2</sup> h<sup>-1</sup>";
+const DEFAULT_GRID_UNIT = "kg_km2_h";
 const GRID_COLORMAP = "ylorrd";
+const GRID_DIFF_COLORMAP = "rdbu";
+const GRID_STRETCH = "linear";     // "linear" | "log" | "sqrt"
+const LOG_STRETCH_FLOOR = 1e-3;    // log stretch starts at this fraction of max when min <= 0
+
+// Sequential colormaps for the emissions overlay (chroma.js names or color stops)
+const GRID_COLORMAPS = {
+  ylorrd: { label: "Yellow–Orange–Red", colors: "ylorrd" },
+  viridis: {
+    label: "Viridis (colorblind-safe)",
+    colors: ["#440154", "#482878", "#3e4989", "#31688e", "#26828e", "#1f9e89", "#35b779", "#6ece58", "#b5de2b", "#fde725"],
+  },
+  cividis: {
+    label: "Cividis (colorblind-safe)",
+    colors: ["#00224e", "#123570", "#3b496c", "#575d6d", "#707173", "#8a8678", "#a59c74", "#c3b369", "#e1cc55", "#fee838"],
+  },
+  magma: {
+    label: "Magma",
+    colors: ["#000004", "#1c1044", "#4f127b", "#812581", "#b5367a", "#e55964", "#fb8761", "#fec287", "#fcfdbf"],
+  },
+  greys: { label: "Greys", colors: "greys" },
+};
 const GRID_OPACITY = 0.40;
 const GRID_RESOLUTION = 256;
+const GEORASTER_CACHE_SIZE = 16; // parsed rasters kept in memory
+
+// Facility overlay: GeoJSON points or a CSV (name,sector,lat,lon,emissions), whichever
+// is found first; sector uses the catalog's sector keys, emissions in t CH4/yr
+const FACILITIES_PATHS = ["data/facilities/facilities.geojson", "data/facilities/facilities.csv"];
+const FACILITY_UNITS = "t CH4/yr";
+const FACILITY_MIN_PX = 8;
+const FACILITY_MAX_PX = 28;
+const FACILITY_SYMBOLS = {
+  ONG: { shape: "diamond", color: "#6a3d9a" },
+  Coal: { shape: "triangle", color: "#333333" },
+  Landfills: { shape: "square", color: "#8c510a" },
+  Wastewater: { shape: "square", color: "#1f78b4" },
+  Livestock: { shape: "circle", color: "#33a02c" },
+  Rice: { shape: "circle", color: "#b2df8a" },
+  other: { shape: "circle", color: "#777777" },
+};
+
+// Normalized metrics. Normalized values switch to a smaller mass unit (tgFactor per Tg)
+// so per-km² and per-person numbers stay readable; `column` names the denominators CSV column.
+const NORMALIZATIONS = {
+  none: { label: "None" },
+  area: { label: "Per km²", massUnit: "t", tgFactor: 1e6, per: () => "km²" },
+  capita: { label: "Per capita", massUnit: "kg", tgFactor: 1e9, per: () => "person", column: () => "population" },
+  activity: {
+    label: "Per unit activity",
+    massUnit: "kg",
+    tgFactor: 1e9,
+    per: (sectorKey) => ACTIVITY_UNITS[sectorKey] ?? "unit activity",
+    column: (sectorKey) => `${sectorKey}_activity`,
+  },
+};
+// Units of the {sector}_activity denominator columns
+const ACTIVITY_UNITS = {
+  Livestock: "head",
+  Rice: "ha harvested",
+};
 
 /* ===================== APP STATE ===================== */
 
 const state = {
   // data
-  dataByYear: {},              // [year][stateName] -> row
-  nationalPosteriorByYear: {}, // GHGI+TROPOMI
-  nationalPriorByYear: {},     // GHGI
-  sectorKeys: [],              // derived from state CSV columns
-  selectedState: null,         // string | null
-  emisSource: "ghgi_tropomi",  // "ghgi" | "ghgi_tropomi"
+  catalog: null,               // CATALOG_PATH: { datasets, sectors, data[gridVar][gridKey] }
+  dataByYear: {},              // [datasetId][year][stateName] -> row
+  nationalByYear: {},          // [datasetId][year] -> row
+  stateNames: [],              // every state in the state CSVs
+  sectorKeys: [],              // catalog sectors, in catalog order
+  selectedState: null,         // primary feature name in the active boundary layer (string | null)
+  selectedStates: [],          // all selected feature names, in click order (first = selectedState)
+  emisSource: null,            // catalog dataset id
+  loadIssues: [],              // { level: "error" | "warning", file, message }, shown in the status panel
 
   // units (charts)
-  unit: "Tg",
+  unit: DEFAULT_CHART_UNIT,    // key of CHART_UNITS
   unitFactor: 1,
   unitLabel: "Tg/yr",
+  gwp: "none",                 // key of GWP_BASES
+  normalization: "none",       // key of NORMALIZATIONS
+  denominators: null,          // [year][stateName] -> denominators CSV row
+  placeAreas: {},              // boundaryKey -> Map(feature name -> km²)
 
   // map
   map: null,
   statesLayer: null,
+  boundaryKey: DEFAULT_BOUNDARY,
+  boundaryLayer: null,         // active non-state boundary layer (null while states are active)
+  boundaryGeo: {},             // boundaryKey -> GeoJSON
+  zonalRows: {},               // boundaryKey -> { rowsBySource, pending, failed, zones }; pending/failed keyed by source
+  mapLayers: MAP_LAYERS,
+  choroplethMethod: CHOROPLETH_METHOD,
+  choroplethBreaks: [],   // class limits [min, b1, ..., max] in chart units
+  choroplethColors: [],
+  choroplethLegendControl: null,
 
   // grid overlay
   colorbarRefEntry: null,
-  gridManifest: null,
+  basemapKey: DEFAULT_BASEMAP,
+  basemapLayer: null,
+
   gridLayer: null,
+  gridSwipe: false,            // prior | posterior swipe comparison
+  gridSwipeLayer: null,        // prior layer on the left of the divider
+  gridSwipeGeoraster: null,
+  swipeFraction: 0.5,          // divider position across the map width
+  swipeEl: null,
   gridVarDomainCache: {}, // gridVar -> { min, max }
   gridOpacity: GRID_OPACITY,
+  gridUnit: DEFAULT_GRID_UNIT, // key of GRID_UNITS
   currentGridEntry: null,
   currentGridVar: null,
   gridLegendControl: null,
   gridDisplayMax: null, // real-value max used for color scaling (null => use manifest max)
+  gridDisplayMin: null, // real-value min used for color scaling (null => use manifest min)
+  gridColormap: GRID_COLORMAP,
+  gridStretch: GRID_STRETCH,
+  colorScaleCache: {},  // colormap key -> chroma scale
   gridMaxT: 1.0,        // normalized slider value [0..1]
   gridGeoraster: null,
+  georasterCache: new Map(),    // tif url -> georaster, least recently used first
+  georasterInflight: new Map(), // tif url -> { promise, controller, waiters }
+  gridLoadController: null,     // aborts the loads of a superseded selection
+  gridLoadingControl: null,
+  gridOverlay: "emissions",    // "emissions" | "adjustment" | "change"
+  gridDiffMode: "absolute",    // "absolute" | "percent" | "ratio"
+  gridCompareGeoraster: null,  // second raster of a difference overlay
+  gridDiffDomain: null,        // { min, max, initial } of the difference, in color-scale space
+
+  // pixel inspector
+  inspectPrior: null,          // { tif, georaster } for the matching "_prior" entry
+  pixelReadoutControl: null,
 
   // charts
   barChart: null,
   lineChart: null,
+  stackChart: null,
+
+  // facility overlay
+  facilities: null,            // [{ name, sector, lat, lon, emissions }]
+  facilityLayer: null,         // L.markerClusterGroup
+
+  // state ranking table
+  ranking: { sortKey: "value", sortDir: -1, filter: "" },
+
+  // custom region: { name, geometry, layer, rowsBySource, pending, failed, weights, tooSmall }
+  region: null,
+
+  // dropped files of the user source: { notes: [string], urls: [blob url] }
+  userData: null,
+
+  // year playback
+  playback: { playing: false, timer: null, exporting: false },
+
+  // URL state; nothing is written until the initial link is restored
+  permalink: { restoring: true, lastKey: null },
 
   // cached DOM
   el: {},
@@ -126,6 +344,11 @@ function parseNumber(x) {
   return Number.isFinite(v) ? v : null;
 }
 
+// Text from data files (facility and place names) going into HTML strings
+function escapeHtml(v) {
+  return String(v ?? "").replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+}
+
 function fmt(v) {
   if (v == null || !Number.isFinite(v)) return "";
   const abs = Math.abs(v);
@@ -136,10 +359,45 @@ function fmt(v) {
   return Math.round(v).toString();
 }
 
+function co2eActive() {
+  return !!GWP_BASES[state.gwp]?.factor;
+}
+
+function gwpFactor() {
+  return GWP_BASES[state.gwp]?.factor ?? 1;
+}
+
+function gwpBasisLabel() {
+  return GWP_BASES[state.gwp]?.label ?? GWP_BASES.none.label;
+}
+
+function massUnitLabel(mass) {
+  return co2eActive() ? `${mass} CO₂e` : mass;
+}
+
+// Absolute (not normalized) chart unit
+function chartUnitLabel(key = state.unit) {
+  const unit = CHART_UNITS[key];
+  return unit.label ?? `${massUnitLabel(unit.mass)}/${unit.time}`;
+}
+
 function setUnits(newUnit) {
-  state.unit = newUnit;
-  state.unitFactor = (newUnit === "Gg") ? 1000 : 1;
-  state.unitLabel = (newUnit === "Gg") ? "Gg/yr" : "Tg/yr";
+  state.unit = CHART_UNITS[newUnit] ? newUnit : DEFAULT_CHART_UNIT;
+  const unit = CHART_UNITS[state.unit];
+  // moles only make sense for CH4 itself
+  state.unitFactor = unit.factor * (unit.molar ? 1 : gwpFactor());
+  state.unitLabel = chartUnitLabel();
+
+  const norm = NORMALIZATIONS[state.normalization];
+  if (norm?.tgFactor) state.unitLabel = `${massUnitLabel(norm.massUnit)}/yr per ${norm.per(state.el?.sectorSelect?.value)}`;
+}
+
+function gridVal(v) {
+  return (v == null || !Number.isFinite(v)) ? null : v * GRID_UNITS[state.gridUnit].factor;
+}
+
+function gridUnitsHtml() {
+  return GRID_UNITS[state.gridUnit].html;
 }
 
 function scaleVal(v) {
@@ -155,17 +413,107 @@ function getNiceLimits(minVal, maxVal) {
 }
 
 function labelSector(sectorKey) {
-  return SECTOR_LABELS[sectorKey] ?? sectorKey;
+  return catalogSector(sectorKey)?.label ?? sectorKey;
 }
 
 function emisSourceLabel(emisSource) {
-  return (emisSource === "ghgi") ? "GHGI" : "GHGI+TROPOMI";
+  return catalogDataset(emisSource)?.label ?? emisSource;
+}
+
+/* ===================== DATA CATALOG ===================== */
+
+// "{year}" / "{sector}" placeholders in catalog paths and column names
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m);
+}
+
+function catalogDataset(id) {
+  return state.catalog?.datasets?.find(d => d.id === id) ?? null;
+}
+
+function catalogSector(sectorKey) {
+  return state.catalog?.sectors?.find(s => s.key === sectorKey) ?? null;
+}
+
+function defaultSource() {
+  return state.catalog?.datasets?.[0]?.id ?? null;
+}
+
+async function loadCatalog() {
+  const res = await fetch(CATALOG_PATH);
+  if (!res.ok) throw new Error(`HTTP ${res.status} for ${CATALOG_PATH}`);
+  const catalog = await res.json();
+
+  // a dataset without these cannot be charted at all
+  catalog.datasets = (catalog.datasets ?? []).filter(d => {
+    const ok = d?.id && d.label && Array.isArray(d.years);
+    if (!ok) reportIssue("error", CATALOG_PATH, `dataset ${JSON.stringify(d?.id ?? d)} needs an id, label and years; it is skipped.`);
+    return ok;
+  });
+  if (!catalog.datasets.length) throw new Error(`${CATALOG_PATH} lists no datasets`);
+  if (!catalog.sectors?.length) reportIssue("error", CATALOG_PATH, "lists no sectors; the charts stay empty.");
+
+  state.catalog = catalog;
+  state.sectorKeys = (catalog.sectors ?? []).map(s => s.key);
+  validateCatalogGrids();
+}
+
+// The prior/posterior pair a source belongs to (e.g. GHGI and GHGI+TROPOMI), or null
+function sourcePair(emisSource = getEmisSource()) {
+  const ds = catalogDataset(emisSource);
+  if (ds?.prior && catalogDataset(ds.prior)) return { prior: ds.prior, posterior: ds.id };
+
+  const posterior = state.catalog?.datasets?.find(d => d.prior === emisSource);
+  return posterior ? { prior: emisSource, posterior: posterior.id } : null;
+}
+
+// "Compare sources" plots a source's prior next to its posterior
+function comparedSources(emisSource = getEmisSource()) {
+  const pair = sourcePair(emisSource);
+  return pair ? [pair.prior, pair.posterior] : [emisSource];
+}
+
+function sourceColor(emisSource) {
+  return catalogDataset(emisSource)?.color ?? null;
+}
+
+// "GHGI | GHGI+TROPOMI", as laid out by the swipe
+function swipeSourcesLabel() {
+  const pair = sourcePair();
+  return pair ? `${emisSourceLabel(pair.prior)} | ${emisSourceLabel(pair.posterior)}` : emisSourceLabel(getEmisSource());
 }
 
 /* ===================== MODE + COLUMN HELPERS ===================== */
 
 function activeYears(emisSource) {
-  return (emisSource === "ghgi") ? PRIOR_YEARS : YEARS;
+  return catalogDataset(emisSource)?.years ?? [];
+}
+
+// Years a source has chart data for; a national CSV can reach back further than the grids
+function sourceYears(emisSource, mode) {
+  if (mode === "national") {
+    const yrs = Object.keys(state.nationalByYear[emisSource] ?? {}).map(Number).filter(Number.isFinite);
+    if (yrs.length) return yrs.sort((a, b) => a - b);
+  }
+  return activeYears(emisSource);
+}
+
+function stateRows(emisSource, year) {
+  return state.dataByYear[emisSource]?.[year] ?? {};
+}
+
+function nationalRow(emisSource, year) {
+  return state.nationalByYear[emisSource]?.[year] ?? null;
+}
+
+function compareSourcesEnabled() {
+  return !!state.el?.compareSourcesToggle?.checked;
+}
+
+function chartSourceLabel(emisSource) {
+  return compareSourcesEnabled()
+    ? comparedSources(emisSource).map(emisSourceLabel).join(" vs ")
+    : emisSourceLabel(emisSource);
 }
 
 function getChartMode() {
@@ -175,24 +523,79 @@ function getChartMode() {
 
 function getEmisSource() {
   const el = state.el?.dataSourceSelect;
-  return el ? el.value : (state.emisSource ?? "ghgi_tropomi");
+  return el ? el.value : (state.emisSource ?? defaultSource());
 }
 
-function mapValueCol(emisSource) {
-  return (emisSource === "ghgi") ? "Total_prior" : "Total_posterior";
+function activeBoundary() {
+  return BOUNDARY_LAYERS[state.boundaryKey] ?? BOUNDARY_LAYERS[DEFAULT_BOUNDARY];
+}
+
+// Regions and non-CSV boundary layers use rows integrated from the grid
+function modeUsesGridRows(mode) {
+  return mode === "region" || (mode === "state" && !activeBoundary().csv);
 }
 
 function currentPlaceLabel(mode) {
-  return (mode === "national") ? "National" : (state.selectedState ?? "(none)");
+  if (mode === "national") return "National";
+  if (mode === "region") return state.region?.name ?? "(none)";
+  return state.selectedStates.length ? state.selectedStates.join(", ") : "(none)";
+}
+
+// Places plotted side by side: every selected feature in state mode, else the one national/region place
+function chartPlaces(mode) {
+  return (mode === "state") ? state.selectedStates : [currentPlaceLabel(mode)];
+}
+
+// Series drawn in the charts: one per place, or prior + posterior for the primary place when
+// comparing sources. A single series keeps the chart's default colors.
+function chartSeries(mode, emisSource) {
+  const places = chartPlaces(mode);
+
+  // the prior (or the source a user source is compared against) is dashed
+  if (compareSourcesEnabled()) {
+    const sources = comparedSources(emisSource);
+    return sources.map((src, i) => ({
+      place: places[0],
+      emisSource: src,
+      label: emisSourceLabel(src),
+      color: sourceColor(src),
+      dashed: sources.length > 1 && i === 0,
+    }));
+  }
+
+  const multi = places.length > 1;
+  return places.map((place, i) => ({
+    place,
+    emisSource,
+    label: multi ? place : emisSourceLabel(emisSource),
+    color: multi ? placeColor(i) : null,
+    dashed: false,
+  }));
+}
+
+// Place named in chart titles: comparing sources only shows the primary place
+function chartPlaceLabel(mode) {
+  return (compareSourcesEnabled() && mode === "state") ? (state.selectedState ?? "(none)") : currentPlaceLabel(mode);
+}
+
+function placeColor(i) {
+  return PLACE_COLORS[i % PLACE_COLORS.length];
+}
+
+// Outline color of a selected place: black on its own, its chart color when comparing
+function selectionColor(name) {
+  const i = state.selectedStates.indexOf(name);
+  if (i < 0) return null;
+  return (state.selectedStates.length > 1) ? placeColor(i) : "#000";
 }
 
 function stateCentralCol(sectorKey, emisSource) {
-  return (emisSource === "ghgi") ? `${sectorKey}_prior` : `${sectorKey}_posterior`;
+  return fillTemplate(catalogDataset(emisSource)?.state_column ?? "{sector}", { sector: sectorKey });
 }
 
-// National columns are base sectorKey without suffix
+// National and grid-integrated columns are base sectorKey without suffix
 function centralCol(sectorKey, mode, emisSource) {
-  return (mode === "national") ? sectorKey : stateCentralCol(sectorKey, emisSource);
+  return (mode === "state" && !modeUsesGridRows(mode)) ? stateCentralCol(sectorKey, emisSource) : sectorKey;
 }
 
 function minCol(sectorKey) {
@@ -237,33 +640,38 @@ function downloadText(filename, text, mime = "text/csv;charset=utf-8") {
   URL.revokeObjectURL(url);
 }
 
+// Long format: one row per series (place or data source) and sector
 function makeBarCsvRows(mode, year) {
-  const place = currentPlaceLabel(mode);
+  const place = chartPlaceLabel(mode);
   const emisSource = getEmisSource();
-  const bar = buildBarData(year, mode, emisSource);
 
   const rows = [
     ["type", "bar"],
     ["mode", mode],
     ["place", place],
     ["year", year],
-    ["units", state.unitLabel],
-    ["data_source", emisSourceLabel(emisSource)],
+    ["units", sectorsUnitLabel()],
+    ["normalization", normalizationLabel()],
+    ["gwp_basis", gwpBasisLabel()],
+    ["data_source", chartSourceLabel(emisSource)],
     [],
-    ["sector", "value", "min", "max"],
+    ["place", "data_source", "sector", "value", "min", "max"],
   ];
 
-  for (let i = 0; i < bar.labels.length; i++) {
-    const key = bar.labels[i];
-    rows.push([labelSector(key), bar.values[i], bar.mins[i], bar.maxs[i]]);
+  for (const s of chartSeries(mode, emisSource)) {
+    const bar = buildBarData(year, mode, s.emisSource, s.place);
+    const src = emisSourceLabel(s.emisSource);
+    for (let i = 0; i < bar.labels.length; i++) {
+      rows.push([s.place, src, labelSector(bar.labels[i]), bar.values[i], bar.mins[i], bar.maxs[i]]);
+    }
   }
   return rows;
 }
 
+// Long format: one row per series (place or data source) and year
 function makeLineCsvRows(mode, sectorKey) {
-  const place = currentPlaceLabel(mode);
+  const place = chartPlaceLabel(mode);
   const emisSource = getEmisSource();
-  const line = buildLineData(mode, sectorKey, emisSource);
 
   const rows = [
     ["type", "timeseries"],
@@ -271,19 +679,40 @@ function makeLineCsvRows(mode, sectorKey) {
     ["place", place],
     ["sector", labelSector(sectorKey)],
     ["units", state.unitLabel],
-    ["data_source", emisSourceLabel(emisSource)],
+    ["normalization", normalizationLabel()],
+    ["gwp_basis", gwpBasisLabel()],
+    ["data_source", chartSourceLabel(emisSource)],
     [],
-    ["year", "value", "min", "max"],
+    ["place", "data_source", "year", "value", "min", "max", "trend", "range_excludes_trend"],
   ];
 
-  for (let i = 0; i < line.labels.length; i++) {
-    rows.push([line.labels[i], line.values[i], line.mins[i], line.maxs[i]]);
+  const trends = [];
+  for (const s of chartSeries(mode, emisSource)) {
+    const line = buildLineData(mode, sectorKey, s.emisSource, s.place);
+    const trend = computeTrend(line);
+    const src = emisSourceLabel(s.emisSource);
+    trends.push([s, src, trend]);
+
+    for (let i = 0; i < line.labels.length; i++) {
+      const outside = trend ? trend.outside.includes(Number(line.labels[i])) : null;
+      rows.push([s.place, src, line.labels[i], line.values[i], line.mins[i], line.maxs[i],
+        trend?.values[i], outside == null ? "" : (outside ? 1 : 0)]);
+    }
+  }
+
+  rows.push([], ["trend_summary"]);
+  rows.push(["place", "data_source", "first_year", "last_year", `slope_${state.unitLabel}/yr`,
+    "slope_ci95_low", "slope_ci95_high", "ci_method", "change", "change_pct"]);
+  for (const [s, src, t] of trends) {
+    if (!t) continue;
+    rows.push([s.place, src, t.firstYear, t.lastYear, t.slope, t.ciLow, t.ciHigh, t.method, t.change, t.changePct]);
   }
   return rows;
 }
 
 /* ===================== DATA LOADING ===================== */
 
+// `url` may also be a File, which is parsed locally
 async function fetchCSV(url) {
   return new Promise((resolve, reject) => {
     Papa.parse(url, {
@@ -291,476 +720,3647 @@ async function fetchCSV(url) {
       header: true,
       dynamicTyping: false,
       skipEmptyLines: true,
-      complete: (results) => resolve(results.data),
+      complete: (results) => {
+        if (results.errors.length) {
+          const e = results.errors[0];
+          reportIssue("warning", url.name ?? url,
+            `${results.errors.length} malformed row(s), e.g. row ${e.row + 2}: ${e.message}.`);
+        }
+        resolve(results.data);
+      },
       error: reject,
     });
   });
 }
 
-function deriveSectorsFromRow(row) {
-  return Object.keys(row)
-    .filter(k => k.endsWith(SCENARIO_SUFFIX))
-    .map(k => k.replace(SCENARIO_SUFFIX, ""))
-    .filter(s => s !== "Total")
-    .filter(s => !EXCLUDED_SECTORS.includes(s))
-    .sort();
+// Rows of a CSV, or null (listed in the status panel) when it cannot be fetched
+async function tryFetchCSV(url, unavailable) {
+  try {
+    return await fetchCSV(url);
+  } catch (err) {
+    reportIssue("error", url, `could not be loaded (${err?.message ?? err}); ${unavailable}.`);
+    return null;
+  }
 }
 
-async function loadStateCSVs() {
-  for (const y of YEARS) {
-    const rows = await fetchCSV(CSV_PATH(y));
-    state.dataByYear[y] = {};
-
-    for (const r of rows) {
-      const name = r.State?.trim();
-      if (name) state.dataByYear[y][name] = r;
-    }
+function rowsByState(rows) {
+  const byName = {};
+  for (const r of rows) {
+    const name = r.State?.trim();
+    if (name) byName[name] = r;
+  }
+  return byName;
+}
 
-    if (state.sectorKeys.length === 0 && rows.length > 0) {
-      state.sectorKeys = deriveSectorsFromRow(rows[0]);
+// Datasets that share a state CSV (prior and posterior columns side by side) share its rows
+async function loadStateCSVs() {
+  const byUrl = new Map();
+  for (const ds of state.catalog.datasets) {
+    state.dataByYear[ds.id] = {};
+    if (!ds.state_csv) continue;
+
+    for (const y of ds.years) {
+      const url = fillTemplate(ds.state_csv, { year: y });
+      if (!byUrl.has(url)) {
+        const rows = await tryFetchCSV(url, `state data for ${y} is unavailable`);
+        byUrl.set(url, rows && { rows, byName: rowsByState(rows) });
+      }
+      const loaded = byUrl.get(url);
+      if (loaded && validateRows(loaded.rows, url, ds.id, "state")) state.dataByYear[ds.id][y] = loaded.byName;
     }
+    validateStateNames(ds.id);
   }
+
+  state.stateNames = [...new Set([...byUrl.values()].flatMap(l => l ? Object.keys(l.byName) : []))].sort();
 }
 
 async function loadNationalCSVs() {
-  const rowsPost = await fetchCSV(NATIONAL_CSV_PATH);
-  state.nationalPosteriorByYear = {};
-  for (const r of rowsPost) {
-    const y = Number(r.Year);
-    if (Number.isFinite(y)) state.nationalPosteriorByYear[y] = r;
-  }
+  for (const ds of state.catalog.datasets) {
+    state.nationalByYear[ds.id] = {};
+    if (!ds.national_csv) continue;
 
-  const rowsPrior = await fetchCSV(NATIONAL_CSV_PATH_PRIOR);
-  state.nationalPriorByYear = {};
-  for (const r of rowsPrior) {
-    const y = Number(r.Year);
-    if (Number.isFinite(y)) state.nationalPriorByYear[y] = r;
+    const rows = await tryFetchCSV(ds.national_csv, `${ds.label} national data is unavailable`);
+    if (!rows || !validateRows(rows, ds.national_csv, ds.id, "national")) continue;
+
+    for (const r of rows) {
+      const y = Number(r.Year);
+      if (Number.isFinite(y)) state.nationalByYear[ds.id][y] = r;
+    }
   }
 }
 
-function hasUncertainty(emisSource) {
-  return emisSource !== "ghgi";
+// Rows integrated from the grid carry no min/max, nor do national rows summed from states
+function hasUncertainty(emisSource, mode = "state") {
+  const ds = catalogDataset(emisSource);
+  const unc = (mode === "national") ? (ds?.national_uncertainty ?? ds?.uncertainty) : ds?.uncertainty;
+  return !!unc && !modeUsesGridRows(mode);
 }
 
-/* ===================== STATE OUTLINES ===================== */
-
-function makeChoroplethStyle(year, feature) {
-  const props = feature.properties || {};
-  const name = props.name || props.NAME || props.STATE_NAME;
+/* ===================== DATA VALIDATION ===================== */
 
-  const row = state.dataByYear?.[year]?.[name];
-  const emisSource = getEmisSource();
-  const v = row ? parseNumber(row[mapValueCol(emisSource)]) : null;
+const MAX_LISTED_NAMES = 5;  // names spelled out per problem before "and N more"
 
-  return {
-    color: STATES_LINE_COLOR,
-    weight: STATES_LINE_WEIGHT,
-    fillColor: (v == null) ? "#00000000" : "#3388ff",
-    fillOpacity: (v == null) ? 0.0 : STATES_FILL_OPACITY,
-  };
+function listNames(names) {
+  return (names.length > MAX_LISTED_NAMES)
+    ? `${names.slice(0, MAX_LISTED_NAMES).join(", ")} and ${names.length - MAX_LISTED_NAMES} more`
+    : names.join(", ");
 }
 
-function recolorStates() {
-  if (!state.statesLayer) return;
-
-  const year = Number(state.el.yearSelect.value);
-  state.statesLayer.setStyle((feature) => makeChoroplethStyle(year, feature));
-
-  if (!state.selectedState) return;
-
-  state.statesLayer.eachLayer(layer => {
-    const props = layer.feature?.properties || {};
-    const name = props.name || props.NAME || props.STATE_NAME;
-    if (name === state.selectedState) layer.setStyle({ weight: 2, color: "#000" });
-  });
+// A problem is listed once, however often a file is (re)loaded
+function reportIssue(level, file, message) {
+  if (state.loadIssues.some(i => i.file === file && i.message === message)) return;
+  state.loadIssues.push({ level, file, message });
+  (level === "error" ? console.error : console.warn)(`${file}: ${message}`);
+  renderDataStatus();
 }
 
-function hideStatesOverlay() {
-  if (state.statesLayer && state.map?.hasLayer(state.statesLayer)) {
-    state.map.removeLayer(state.statesLayer);
+function renderDataStatus() {
+  const box = state.el.dataStatus;
+  const list = state.el.dataStatusList;
+  if (!box || !list) return;
+
+  box.hidden = !state.loadIssues.length;
+  list.innerHTML = "";
+  for (const issue of state.loadIssues) {
+    const li = document.createElement("li");
+    li.className = issue.level;
+    const file = document.createElement("code");
+    file.textContent = issue.file;
+    li.append(file, `: ${issue.message}`);
+    list.appendChild(li);
   }
 }
 
-function showStatesOverlay() {
-  if (state.statesLayer && state.map && !state.map.hasLayer(state.statesLayer)) {
-    state.statesLayer.addTo(state.map);
-    state.statesLayer.bringToFront();
-  }
+function isBlank(v) {
+  return v == null || String(v).trim() === "";
 }
 
-/* ===================== GRID OVERLAY ===================== */
+// Checks a state (keyed by State) or national (keyed by Year) CSV against the columns the
+// charts read for a dataset. False when nothing in it is usable.
+function validateRows(rows, file, emisSource, mode) {
+  const ds = catalogDataset(emisSource);
+  const keyCol = (mode === "national") ? "Year" : "State";
+  const columns = new Set(Object.keys(rows[0] ?? {}));
+  const unavailable = `${ds?.label ?? emisSource} has no ${mode} data from it`;
+
+  if (!rows.length) {
+    reportIssue("error", file, `has no rows; ${unavailable}.`);
+    return false;
+  }
+  if (!columns.has(keyCol)) {
+    reportIssue("error", file, `has no ${keyCol} column; ${unavailable}.`);
+    return false;
+  }
 
-function getGlobalDomainForGridVar(gridVar) {
-  // Cache so we don't rescan every time
-  if (state.gridVarDomainCache?.[gridVar]) return state.gridVarDomainCache[gridVar];
+  const withRange = (mode === "national") ? (ds?.national_uncertainty ?? ds?.uncertainty) : ds?.uncertainty;
+  const missing = [];
+  let usable = 0;
 
-  const entries = state.gridManifest?.data?.[gridVar];
-  if (!entries) return null;
+  for (const s of state.sectorKeys) {
+    const col = (mode === "national") ? s : stateCentralCol(s, emisSource);
+    if (!columns.has(col)) {
+      missing.push(col);
+      continue;
+    }
+    usable++;
 
-  let gMin = Infinity;
-  let gMax = -Infinity;
+    const range = withRange && columns.has(minCol(s)) && columns.has(maxCol(s));
+    if (withRange && !range) missing.push(`${minCol(s)}/${maxCol(s)}`);
 
-  for (const key of Object.keys(entries)) {
-    const e = entries[key];
-    if (!e) continue;
+    const nonNumeric = [];
+    const outside = [];
+    for (const r of rows) {
+      const key = String(r[keyCol] ?? "").trim();
+      const cells = range ? [r[col], r[minCol(s)], r[maxCol(s)]] : [r[col]];
+      if (cells.some(v => !isBlank(v) && parseNumber(v) == null)) nonNumeric.push(key);
 
-    const mn = Number(e.min);
-    const mx = Number(e.max);
-    if (Number.isFinite(mn)) gMin = Math.min(gMin, mn);
-    if (Number.isFinite(mx)) gMax = Math.max(gMax, mx);
+      const [v, lo, hi] = cells.map(parseNumber);
+      if (range && v != null && lo != null && hi != null && !(lo <= v && v <= hi)) outside.push(key);
+    }
+
+    if (nonNumeric.length) {
+      const cols = range ? `${col}/${minCol(s)}/${maxCol(s)}` : col;
+      reportIssue("warning", file, `non-numeric ${cols} values for ${listNames(nonNumeric)}; they are left out.`);
+    }
+    if (outside.length) {
+      reportIssue("warning", file, `${col} is outside ${minCol(s)}–${maxCol(s)} for ${listNames(outside)}.`);
+    }
   }
 
-  if (!Number.isFinite(gMin) || !Number.isFinite(gMax) || gMax <= gMin) return null;
+  if (!usable) {
+    reportIssue("error", file, `has none of the sector columns (e.g. ${listNames(missing)}); ${unavailable}.`);
+    return false;
+  }
+  if (missing.length) {
+    reportIssue("warning", file, `is missing ${listNames(missing)}; those values are unavailable for ${ds?.label ?? emisSource}.`);
+  }
 
-  const dom = { min: gMin, max: gMax };
-  state.gridVarDomainCache[gridVar] = dom;
-  return dom;
+  if (mode === "national") {
+    const badYears = rows.filter(r => !Number.isFinite(Number(r.Year)) || isBlank(r.Year)).length;
+    if (badYears) reportIssue("warning", file, `${badYears} row(s) without a numeric Year are left out.`);
+  }
+  return true;
 }
 
-function gridVarForSector(sectorKey) {
-  return GRID_VAR_BY_SECTOR[sectorKey] ?? "EmisCH4_Total";
+// Every year of a dataset should list the same states
+function validateStateNames(emisSource) {
+  const ds = catalogDataset(emisSource);
+  const byYear = state.dataByYear[emisSource] ?? {};
+  const years = Object.keys(byYear);
+  if (years.length < 2) return;
+
+  const all = new Set(years.flatMap(y => Object.keys(byYear[y])));
+  for (const y of years) {
+    const absent = [...all].filter(name => !(name in byYear[y]));
+    if (absent.length) {
+      reportIssue("warning", fillTemplate(ds.state_csv, { year: y }),
+        `has no rows for ${listNames(absent)}, listed in other years; they show as gaps.`);
+    }
+  }
 }
 
-function getColorbarReferenceEntry(gridVar, year) {
-  // Always use GHGI+TROPOMI entry (no "_prior") for colorbar min/max domain
-  return state.gridManifest?.data?.[gridVar]?.[String(year)] ?? null;
-}
+// The denominators CSV: State, Year and population are required, every denominator
+// column numeric. False when it cannot be used at all.
+function validateDenominators(rows) {
+  const file = DENOMINATORS_CSV_PATH;
+  const columns = Object.keys(rows[0] ?? {});
+  const unavailable = "per-capita and per-activity values are unavailable";
 
-async function ensureGridManifestLoaded() {
-  if (state.gridManifest) return;
-  state.gridManifest = await (await fetch(GRID_MANIFEST_PATH)).json();
-}
+  if (!rows.length) {
+    reportIssue("error", file, `has no rows; ${unavailable}.`);
+    return false;
+  }
+  const missing = ["State", "Year"].filter(c => !columns.includes(c));
+  if (missing.length) {
+    reportIssue("error", file, `has no ${missing.join(" or ")} column; ${unavailable}.`);
+    return false;
+  }
+  if (!columns.includes("population")) reportIssue("warning", file, "has no population column; per-capita values are unavailable.");
 
-function getGridOpacity() {
-  const el = state.el.gridOpacitySlider;
-  if (!el) return GRID_OPACITY;
-  const v = Number(el.value);
-  return Number.isFinite(v) ? Math.max(0, Math.min(1, v / 100)) : GRID_OPACITY;
-}
+  for (const col of columns.filter(c => c === "population" || c.endsWith("_activity"))) {
+    const nonNumeric = rows.filter(r => !isBlank(r[col]) && parseNumber(r[col]) == null)
+      .map(r => `${String(r.State ?? "").trim()} ${String(r.Year ?? "").trim()}`);
+    if (nonNumeric.length) reportIssue("warning", file, `non-numeric ${col} values for ${listNames(nonNumeric)}; they are left out.`);
+  }
 
-function syncGridOpacityUI() {
-  const el = state.el.gridOpacitySlider;
-  const out = state.el.gridOpacityValue;
-  if (!el || !out) return;
-  out.textContent = `${Math.round(getGridOpacity() * 100)}%`;
+  const badYears = rows.filter(r => isBlank(r.Year) || !Number.isFinite(Number(r.Year))).length;
+  if (badYears) reportIssue("warning", file, `${badYears} row(s) without a numeric Year are left out.`);
+  return true;
 }
 
-function applyGridOpacity() {
-  state.gridOpacity = getGridOpacity();
-  syncGridOpacityUI();
-  if (state.gridLayer && typeof state.gridLayer.setOpacity === "function") {
-    state.gridLayer.setOpacity(state.gridOpacity);
-  } else if (state.gridLayer?.options) {
-    // fallback for implementations without setOpacity
-    state.gridLayer.options.opacity = state.gridOpacity;
-    state.gridLayer.redraw?.();
+// National denominators are summed from the states when a year has no National row,
+// so every state of the state CSVs must be listed
+function validateDenominatorYears(byYear) {
+  for (const [y, byState] of Object.entries(byYear)) {
+    const absent = state.stateNames.filter(name => !byState[name]);
+    if (!absent.length) continue;
+    reportIssue("warning", DENOMINATORS_CSV_PATH, byState.National
+      ? `has no ${y} rows for ${listNames(absent)}; they show as gaps.`
+      : `has no ${y} rows for ${listNames(absent)} and no National row; national values for ${y} are unavailable.`);
   }
 }
 
-function clearGrid() {
-  if (state.gridLayer) state.map.removeLayer(state.gridLayer);
-  state.gridLayer = null;
-  state.gridGeoraster = null;
-  state.currentGridEntry = null;
-  state.currentGridVar = null;
-  updateGridLegend();
-  syncGridSliderToEntry();
+// Grids a dataset's years should have but the catalog does not list. Sectors whose variable
+// was never gridded (not in catalog.variables) are expected to have none.
+function validateCatalogGrids() {
+  const gridded = new Set(state.catalog.variables ?? Object.keys(state.catalog.data ?? {}));
+  for (const ds of state.catalog.datasets) {
+    for (const sector of state.catalog.sectors ?? []) {
+      if (!sector.grid_var || !gridded.has(sector.grid_var)) continue;
+      const absent = ds.years.filter(y => !gridEntry(sector.grid_var, y, ds.id));
+      if (!absent.length) continue;
+
+      reportIssue("warning", CATALOG_PATH, (absent.length === ds.years.length)
+        ? `no ${labelSector(sector.key)} grids for ${ds.label}; the map shows nothing for them.`
+        : `no ${labelSector(sector.key)} grids for ${ds.label} in ${absent.join(", ")}.`);
+    }
+  }
 }
 
-function getEffectiveGridMax() {
-  const dom = state.currentGridVar ? getGlobalDomainForGridVar(state.currentGridVar) : null;
-  if (!dom) return null;
+/* ===================== NORMALIZATION ===================== */
 
-  const maxRaw = Number(dom.max ?? 1);
-  return (state.gridDisplayMax != null) ? Number(state.gridDisplayMax) : maxRaw;
+// False (listed in the status panel) when the file has no usable rows
+async function loadDenominatorsCSV() {
+  const rows = await fetchCSV(DENOMINATORS_CSV_PATH);
+  if (!validateDenominators(rows)) return false;
+
+  const byYear = {};
+  for (const r of rows) {
+    const y = Number(r.Year);
+    const name = r.State?.trim();
+    if (Number.isFinite(y) && name) (byYear[y] ??= {})[name] = r;
+  }
+  validateDenominatorYears(byYear);
+  state.denominators = byYear;
+  return true;
 }
 
-function syncGridSliderToEntry() {
-  const slider = state.el.gridMaxSlider;
-  const out = state.el.gridMaxValue;
+// Feature areas of a boundary layer, once its GeoJSON is loaded
+function boundaryAreas(boundaryKey) {
+  if (state.placeAreas[boundaryKey]) return state.placeAreas[boundaryKey];
 
-  if (!slider || !out || !state.currentGridEntry || !state.currentGridVar) return;
+  const features = state.boundaryGeo[boundaryKey]?.features;
+  if (!features) return new Map();
 
-  const dom = getGlobalDomainForGridVar(state.currentGridVar);
-  if (!dom) {
-    slider.disabled = true;
-    out.textContent = "";
-    return;
+  const areas = new Map();
+  for (const f of features) {
+    const name = featureName(f, boundaryKey);
+    areas.set(name, (areas.get(name) ?? 0) + geometryAreaKm2(f.geometry));
   }
+  state.placeAreas[boundaryKey] = areas;
+  return areas;
+}
 
-  const dataMin = dom.min;
-  const dataMax = dom.max;
+function placeAreaKm2(mode, place, boundaryKey) {
+  if (mode === "region") {
+    if (!state.region) return null;
+    return (state.region.polygonAreaKm2 ??= geometryAreaKm2(state.region.geometry));
+  }
+  if (mode === "state") return boundaryAreas(boundaryKey).get(place) ?? null;
 
-  slider.disabled = false;
+  // the national rows cover the states of the state CSV
+  const areas = boundaryAreas("states");
+  const total = state.stateNames.reduce((sum, name) => sum + (areas.get(name) ?? 0), 0);
+  return (total > 0) ? total : null;
+}
 
-  // Only initialize if user hasn't set it yet
-  if (state.gridDisplayMax == null) state.gridDisplayMax = dataMax;
+// Population and activity only exist for states and the nation
+function placeDenominator(norm, { mode, place, year, sectorKey, boundaryKey = state.boundaryKey }) {
+  if (!norm.column) return placeAreaKm2(mode, place, boundaryKey);
+  if (mode === "region" || (mode === "state" && boundaryKey !== "states")) return null;
+
+  const col = norm.column(sectorKey);
+  const byState = state.denominators?.[year];
+  if (!byState) return null;
+  if (mode === "state") return parseNumber(byState[place]?.[col]);
+  if (byState.National) return parseNumber(byState.National[col]);
+
+  // states with zero activity (e.g. rice) count; a missing state would undercount the total
+  const parts = state.stateNames.map(name => byState[name])
+    .map(r => (!r || isBlank(r[col])) ? null : parseNumber(r[col]));
+  return parts.every(v => v != null) ? parts.reduce((a, b) => a + b, 0) : null;
+}
 
-  // Clamp within global domain
-  state.gridDisplayMax = Math.max(dataMin, Math.min(dataMax, state.gridDisplayMax));
+// A Tg/yr value in chart units; normalized values are divided by the place's denominator
+// (ctx: { mode, place, year, sectorKey, boundaryKey })
+function normVal(v, ctx) {
+  const norm = NORMALIZATIONS[state.normalization];
+  if (!norm?.tgFactor) return scaleVal(v);
+  if (v == null || !Number.isFinite(v)) return null;
 
-  state.gridMaxT = (state.gridDisplayMax - dataMin) / (dataMax - dataMin);
-  state.gridMaxT = Math.max(0, Math.min(1, state.gridMaxT));
+  const d = placeDenominator(norm, ctx);
+  return (d > 0) ? (v * norm.tgFactor * gwpFactor()) / d : null;
+}
 
-  slider.value = String(Math.round(state.gridMaxT * 1000));
-  out.innerHTML = `${fmt(state.gridDisplayMax)} ${GRID_UNITS_HTML}`;
+// Bars and stacks mix sectors, each divided by its own activity
+function sectorsUnitLabel() {
+  if (state.normalization !== "activity") return state.unitLabel;
+  return `${massUnitLabel(NORMALIZATIONS.activity.massUnit)}/yr per unit activity`;
 }
 
-function updateGridLegend() {
-  const ctl = state.gridLegendControl;
-  if (!ctl?._container) return;
+function normalizationLabel() {
+  return NORMALIZATIONS[state.normalization]?.label ?? NORMALIZATIONS.none.label;
+}
 
-  if (!state.currentGridEntry || !state.currentGridVar) {
-    ctl._container.innerHTML = "";
-    return;
+function initNormalizationSelect() {
+  const el = state.el.normalizationSelect;
+  if (!el) return;
+  el.innerHTML = "";
+  for (const [key, n] of Object.entries(NORMALIZATIONS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = n.label;
+    el.appendChild(opt);
   }
+  el.value = state.normalization;
+}
 
-  const dom = getGlobalDomainForGridVar(state.currentGridVar);
-  if (!dom) {
-    ctl._container.innerHTML = "";
-    return;
-  }
+function syncNormalizationHint() {
+  const el = state.el.normalizationHint;
+  if (!el) return;
+  const norm = NORMALIZATIONS[state.normalization];
+  if (!norm?.tgFactor) el.textContent = "";
+  else if (norm.column) el.textContent = `${norm.label} values exist for states and the nation only.`;
+  else el.textContent = "Areas come from the boundary geometry; custom regions use their drawn polygon.";
+}
 
-  const min = dom.min;
-  const max = getEffectiveGridMax();
+async function handleNormalizationChange() {
+  const key = state.el.normalizationSelect.value;
+  if (NORMALIZATIONS[key]?.column && !state.denominators) {
+    let loaded = false;
+    try {
+      loaded = await loadDenominatorsCSV();
+    } catch (err) {
+      reportIssue("error", DENOMINATORS_CSV_PATH,
+        `could not be loaded (${err?.message ?? err}); per-capita and per-activity values are unavailable.`);
+    }
+    if (!loaded) {
+      state.el.normalizationSelect.value = state.normalization;
+      return;
+    }
+  }
 
-  const steps = 40;
+  state.normalization = key;
+  // normalized values pick their own mass unit
+  state.el.unitSelect.disabled = !!NORMALIZATIONS[key].tgFactor;
+  setUnits(state.el.unitSelect.value);
+  syncNormalizationHint();
+  recolorStates();
+  updateCharts();
+}
+
+/* ===================== BASEMAPS ===================== */
+
+// localStorage can throw in locked-down browsers; the basemap then just isn't remembered
+function readStoredBasemap() {
+  try {
+    const key = localStorage.getItem(BASEMAP_STORAGE_KEY);
+    return BASEMAPS[key] ? key : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function storeBasemap(key) {
+  try {
+    localStorage.setItem(BASEMAP_STORAGE_KEY, key);
+  } catch (err) {
+    console.warn("Could not remember basemap", err);
+  }
+}
+
+function setBasemapStatus(text) {
+  if (state.el.basemapStatus) state.el.basemapStatus.textContent = text;
+}
+
+function setBasemap(key) {
+  if (!BASEMAPS[key]) key = DEFAULT_BASEMAP;
+  const def = BASEMAPS[key];
+
+  if (state.basemapLayer) state.map.removeLayer(state.basemapLayer);
+  state.basemapLayer = null;
+  state.basemapKey = key;
+  setBasemapStatus("");
+
+  if (def.url) {
+    state.basemapLayer = L.tileLayer(def.url, {
+      maxZoom: BASEMAP_MAX_ZOOM,
+      attribution: def.attribution,
+      subdomains: def.subdomains ?? "abc",
+      tms: !!def.tms,
+      // CORS tiles can be copied into exported map images
+      crossOrigin: "anonymous",
+    });
+    state.basemapLayer.once("tileerror", () => {
+      setBasemapStatus(`${def.label} tiles could not be loaded. Offline, use "${BASEMAPS.none.label}" or local tiles.`);
+    });
+    state.basemapLayer.addTo(state.map);
+  }
+
+  state.map.getContainer().classList.toggle("no-basemap", !def.url);
+  if (state.el.basemapSelect) state.el.basemapSelect.value = key;
+  storeBasemap(key);
+
+  if (state.statesLayer) syncStatesOverlay();
+}
+
+function initBasemapSelect() {
+  const el = state.el.basemapSelect;
+  if (!el) return;
+
+  el.innerHTML = "";
+  for (const [key, b] of Object.entries(BASEMAPS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = b.label;
+    el.appendChild(opt);
+  }
+  el.value = state.basemapKey;
+}
+
+/* ===================== STATE OUTLINES + CHOROPLETH ===================== */
+
+function featureName(feature, boundaryKey = "states") {
+  const props = feature?.properties || {};
+  return BOUNDARY_LAYERS[boundaryKey].name(props);
+}
+
+function choroplethEnabled() {
+  return state.mapLayers === "choropleth" || state.mapLayers === "both";
+}
+
+function gridEnabled() {
+  return state.mapLayers === "grid" || state.mapLayers === "both";
+}
+
+function stateMapValue(year, name) {
+  const emisSource = getEmisSource();
+  const row = stateRows(emisSource, year)[name];
+  if (!row) return null;
+  const sectorKey = state.el.sectorSelect.value;
+  return normVal(parseNumber(row[stateCentralCol(sectorKey, emisSource)]),
+    { mode: "state", place: name, year, sectorKey, boundaryKey: "states" });
+}
+
+// Fisher-Jenks natural breaks; returns class limits [min, b1, ..., max]
+function jenksBreaks(sorted, nClasses) {
+  const n = sorted.length;
+  const mat1 = [];
+  const mat2 = [];
+  for (let i = 0; i <= n; i++) {
+    mat1.push(new Array(nClasses + 1).fill(0));
+    mat2.push(new Array(nClasses + 1).fill(0));
+  }
+  for (let j = 1; j <= nClasses; j++) {
+    mat1[1][j] = 1;
+    for (let i = 2; i <= n; i++) mat2[i][j] = Infinity;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let s1 = 0, s2 = 0, w = 0, v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      s1 += val;
+      s2 += val * val;
+      w++;
+      v = s2 - (s1 * s1) / w;
+      const i4 = i3 - 1;
+      if (i4 === 0) continue;
+      for (let j = 2; j <= nClasses; j++) {
+        if (mat2[l][j] >= v + mat2[i4][j - 1]) {
+          mat1[l][j] = i3;
+          mat2[l][j] = v + mat2[i4][j - 1];
+        }
+      }
+    }
+    mat1[l][1] = 1;
+    mat2[l][1] = v;
+  }
+
+  const breaks = new Array(nClasses + 1);
+  breaks[0] = sorted[0];
+  breaks[nClasses] = sorted[n - 1];
+  let k = n;
+  for (let j = nClasses; j >= 2; j--) {
+    breaks[j - 1] = sorted[mat1[k][j] - 2];
+    k = mat1[k][j] - 1;
+  }
+  return breaks;
+}
+
+function computeClassBreaks(values, method, nClasses) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return [];
+
+  const lo = sorted[0];
+  const hi = sorted[sorted.length - 1];
+  if (lo === hi) return [lo, hi];
+
+  const k = Math.min(nClasses, sorted.length);
+  let breaks;
+  if (method === "jenks") {
+    breaks = jenksBreaks(sorted, k);
+  } else if (method === "quantile") {
+    breaks = [];
+    for (let i = 0; i <= k; i++) breaks.push(sorted[Math.round((i / k) * (sorted.length - 1))]);
+  } else {
+    breaks = [];
+    for (let i = 0; i <= k; i++) breaks.push(lo + (i / k) * (hi - lo));
+  }
+
+  // drop repeated limits (ties in quantile/jenks)
+  return breaks.filter((b, i) => i === 0 || b > breaks[i - 1]);
+}
+
+function classIndexFor(v, breaks) {
+  for (let i = 1; i < breaks.length; i++) {
+    if (v <= breaks[i]) return i - 1;
+  }
+  return breaks.length - 2;
+}
+
+function updateChoroplethClasses(year) {
+  const names = Object.keys(stateRows(getEmisSource(), year));
+  const values = names.map(name => stateMapValue(year, name));
+
+  state.choroplethBreaks = computeClassBreaks(values, state.choroplethMethod, CHOROPLETH_CLASSES);
+  const nClasses = Math.max(1, state.choroplethBreaks.length - 1);
+  state.choroplethColors = chroma.scale(CHOROPLETH_COLORMAP).colors(nClasses);
+}
+
+function makeChoroplethStyle(year, feature) {
+  const v = stateMapValue(year, featureName(feature));
+  const breaks = state.choroplethBreaks;
+
+  const style = {
+    color: STATES_LINE_COLOR,
+    weight: STATES_LINE_WEIGHT,
+    fillColor: "#00000000",
+    fillOpacity: STATES_FILL_OPACITY,
+  };
+
+  if (!choroplethEnabled() || v == null || breaks.length < 2) return style;
+
+  style.fillColor = state.choroplethColors[classIndexFor(v, breaks)];
+  style.fillOpacity = CHOROPLETH_FILL_OPACITY;
+  return style;
+}
+
+function updateChoroplethLegend() {
+  const ctl = state.choroplethLegendControl;
+  if (!ctl?._container) return;
+
+  const breaks = state.choroplethBreaks;
+  if (!choroplethEnabled() || !state.map?.hasLayer(state.statesLayer) || breaks.length < 2) {
+    ctl._container.style.display = "none";
+    ctl._container.innerHTML = "";
+    return;
+  }
+
+  const sectorKey = state.el.sectorSelect.value;
+  const year = state.el.yearSelect.value;
+  const rows = state.choroplethColors.map((color, i) => `
+      <div class="class-row">
+        <span class="swatch" style="background:${color};"></span>
+        <span>${fmt(breaks[i])} – ${fmt(breaks[i + 1])}</span>
+      </div>`).join("");
+
+  ctl._container.style.display = "";
+  ctl._container.innerHTML = `
+    <div class="legend">
+      <div class="title">${labelSector(sectorKey)} by state, ${year}</div>
+      <div class="units">${state.unitLabel} (${emisSourceLabel(getEmisSource())})</div>
+      <div class="classes">${rows}</div>
+    </div>
+  `;
+}
+
+function recolorStates() {
+  if (!state.statesLayer) return;
+
+  const year = Number(state.el.yearSelect.value);
+  updateChoroplethClasses(year);
+  state.statesLayer.setStyle((feature) => makeChoroplethStyle(year, feature));
+  updateChoroplethLegend();
+
+  if (!state.selectedStates.length || state.boundaryKey !== "states") return;
+
+  state.statesLayer.eachLayer(layer => {
+    const color = selectionColor(featureName(layer.feature));
+    if (color) layer.setStyle({ weight: 2, color });
+  });
+}
+
+function boundaryStyle(feature) {
+  const color = selectionColor(featureName(feature, state.boundaryKey));
+  return {
+    color: color ?? BOUNDARY_LINE_COLOR,
+    weight: color ? 2 : BOUNDARY_LINE_WEIGHT,
+    fillColor: "#000",
+    fillOpacity: 0, // keeps the interior clickable
+  };
+}
+
+function restyleBoundaryLayer() {
+  state.boundaryLayer?.setStyle(boundaryStyle);
+}
+
+function bringPlaceLayersToFront() {
+  if (state.map?.hasLayer(state.statesLayer)) state.statesLayer.bringToFront();
+  if (state.boundaryLayer && state.map?.hasLayer(state.boundaryLayer)) state.boundaryLayer.bringToFront();
+}
+
+function hideStatesOverlay() {
+  if (state.statesLayer && state.map?.hasLayer(state.statesLayer)) {
+    state.map.removeLayer(state.statesLayer);
+  }
+}
+
+function showStatesOverlay() {
+  if (state.statesLayer && state.map && !state.map.hasLayer(state.statesLayer)) {
+    state.statesLayer.addTo(state.map);
+    state.statesLayer.bringToFront();
+  }
+}
+
+// States stay visible in national mode when the choropleth is switched on;
+// other boundary layers only show while they provide the chart place
+function syncStatesOverlay() {
+  const placeMode = getChartMode() === "state";
+
+  // without a basemap the state outlines are the only geographic reference
+  const outlinesOnly = !BASEMAPS[state.basemapKey]?.url;
+
+  if ((placeMode && state.boundaryKey === "states") || choroplethEnabled() || outlinesOnly) {
+    showStatesOverlay();
+    recolorStates();
+  } else {
+    hideStatesOverlay();
+    updateChoroplethLegend();
+  }
+
+  if (state.boundaryLayer) {
+    if (placeMode && !state.map.hasLayer(state.boundaryLayer)) state.boundaryLayer.addTo(state.map);
+    if (!placeMode && state.map.hasLayer(state.boundaryLayer)) state.map.removeLayer(state.boundaryLayer);
+    restyleBoundaryLayer();
+  }
+  bringPlaceLayersToFront();
+}
+
+function syncGridVisibility() {
+  if (!state.gridLayer || !state.map) return;
+
+  for (const layer of [state.gridLayer, state.gridSwipeLayer]) {
+    if (!layer) continue;
+    if (gridEnabled() && !state.map.hasLayer(layer)) {
+      layer.addTo(state.map);
+    } else if (!gridEnabled() && state.map.hasLayer(layer)) {
+      state.map.removeLayer(layer);
+    }
+  }
+  bringPlaceLayersToFront();
+  updateSwipeClip();
+
+  if (state.gridLegendControl?._container) {
+    state.gridLegendControl._container.style.display = gridEnabled() ? "" : "none";
+  }
+}
+
+/* ===================== GRID OVERLAY ===================== */
+
+function getGlobalDomainForGridVar(gridVar) {
+  // Cache so we don't rescan every time
+  if (state.gridVarDomainCache?.[gridVar]) return state.gridVarDomainCache[gridVar];
+
+  const entries = state.catalog?.data?.[gridVar];
+  if (!entries) return null;
+
+  let gMin = Infinity;
+  let gMax = -Infinity;
+
+  for (const key of Object.keys(entries)) {
+    const e = entries[key];
+    if (!e) continue;
+
+    const mn = Number(e.min);
+    const mx = Number(e.max);
+    if (Number.isFinite(mn)) gMin = Math.min(gMin, mn);
+    if (Number.isFinite(mx)) gMax = Math.max(gMax, mx);
+  }
+
+  if (!Number.isFinite(gMin) || !Number.isFinite(gMax) || gMax <= gMin) return null;
+
+  const dom = { min: gMin, max: gMax };
+  state.gridVarDomainCache[gridVar] = dom;
+  return dom;
+}
+
+// Sectors without their own grid show the total
+function gridVarForSector(sectorKey) {
+  return catalogSector(sectorKey)?.grid_var ?? catalogSector(DEFAULT_SECTOR)?.grid_var ?? null;
+}
+
+function sectorForGridVar(gridVar) {
+  return state.catalog?.sectors?.find(s => s.grid_var === gridVar)?.key ?? DEFAULT_SECTOR;
+}
+
+function gridEntry(gridVar, year, emisSource) {
+  return state.catalog?.data?.[gridVar]?.[gridYearKey(year, emisSource)] ?? null;
+}
+
+function getColorbarReferenceEntry(gridVar, year) {
+  // Always use the posterior entry for colorbar min/max domain
+  return gridEntry(gridVar, year, sourcePair()?.posterior ?? getEmisSource());
+}
+
+async function fetchGeoraster(url, signal) {
+  const resp = await fetch(url, { signal });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status} for ${url}`);
+  const arrayBuffer = await resp.arrayBuffer();
+  return parseGeoraster(arrayBuffer);
+}
+
+function georasterCacheGet(url) {
+  const cache = state.georasterCache;
+  if (!cache.has(url)) return null;
+
+  // re-insert to mark as most recently used
+  const georaster = cache.get(url);
+  cache.delete(url);
+  cache.set(url, georaster);
+  return georaster;
+}
+
+function georasterCachePut(url, georaster) {
+  const cache = state.georasterCache;
+  cache.delete(url);
+  cache.set(url, georaster);
+  while (cache.size > GEORASTER_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function abortError() {
+  return new DOMException("Georaster load aborted", "AbortError");
+}
+
+function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+// Settle with the promise, or reject as soon as the signal aborts
+function withAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Parsed georaster for a tif URL. Concurrent callers share one fetch, which is
+// only aborted once every caller that passed a signal has aborted it (callers
+// without a signal, e.g. preloads, keep it alive).
+function loadGeoraster(url, { signal } = {}) {
+  const cached = georasterCacheGet(url);
+  if (cached) return Promise.resolve(cached);
+
+  let job = state.georasterInflight.get(url);
+  if (!job) {
+    const controller = new AbortController();
+    const promise = fetchGeoraster(url, controller.signal)
+      .then(georaster => {
+        georasterCachePut(url, georaster);
+        return georaster;
+      })
+      .finally(() => {
+        if (state.georasterInflight.get(url) === job) state.georasterInflight.delete(url);
+      });
+
+    job = { promise, controller, waiters: 0 };
+    state.georasterInflight.set(url, job);
+  }
+
+  job.waiters++;
+  if (signal) {
+    signal.addEventListener("abort", () => {
+      job.waiters--;
+      if (job.waiters === 0) {
+        // drop it first so a caller arriving now starts a fresh fetch instead of joining the aborted one
+        if (state.georasterInflight.get(url) === job) state.georasterInflight.delete(url);
+        job.controller.abort();
+      }
+    }, { once: true });
+  }
+
+  return withAbort(job.promise, signal);
+}
+
+function getGridOpacity() {
+  const el = state.el.gridOpacitySlider;
+  if (!el) return GRID_OPACITY;
+  const v = Number(el.value);
+  return Number.isFinite(v) ? Math.max(0, Math.min(1, v / 100)) : GRID_OPACITY;
+}
+
+function syncGridOpacityUI() {
+  const el = state.el.gridOpacitySlider;
+  const out = state.el.gridOpacityValue;
+  if (!el || !out) return;
+  out.textContent = `${Math.round(getGridOpacity() * 100)}%`;
+}
+
+function applyGridOpacity() {
+  state.gridOpacity = getGridOpacity();
+  syncGridOpacityUI();
+  for (const layer of [state.gridLayer, state.gridSwipeLayer]) {
+    if (layer && typeof layer.setOpacity === "function") {
+      layer.setOpacity(state.gridOpacity);
+    } else if (layer?.options) {
+      // fallback for implementations without setOpacity
+      layer.options.opacity = state.gridOpacity;
+      layer.redraw?.();
+    }
+  }
+}
+
+function clearGrid() {
+  if (state.gridLayer) state.map.removeLayer(state.gridLayer);
+  if (state.gridSwipeLayer) state.map.removeLayer(state.gridSwipeLayer);
+  state.gridLayer = null;
+  state.gridSwipeLayer = null;
+  state.gridSwipeGeoraster = null;
+  updateSwipeClip();
+  state.gridGeoraster = null;
+  state.gridCompareGeoraster = null;
+  state.currentGridEntry = null;
+  state.currentGridVar = null;
+  updateGridLegend();
+  syncGridSliderToEntry();
+}
+
+/* ---------- overlay kinds: emissions vs. pixel-wise difference ---------- */
+
+function overlayIsDiverging() {
+  return state.gridOverlay !== "emissions";
+}
+
+function gridComparisonLabels() {
+  if (state.gridOverlay === "change") {
+    const { base, target } = changeYears();
+    return { a: String(target), b: String(base), title: `Change ${base}→${target}` };
+  }
+  const pair = sourcePair();
+  const a = emisSourceLabel(pair?.posterior);
+  const b = emisSourceLabel(pair?.prior);
+  return { a, b, title: `Adjustment to ${b}` };
+}
+
+// Key of a dataset's entries under the catalog's data[gridVar]
+function gridYearKey(year, emisSource) {
+  return fillTemplate(catalogDataset(emisSource)?.grid_key ?? "{year}", { year });
+}
+
+// A raw pixel value, or null for the georaster's noData value and NaN
+function validPixel(georaster, v) {
+  return (v == null || v === georaster.noDataValue || !Number.isFinite(v)) ? null : v;
+}
+
+function georasterValue(georaster, row, col) {
+  return validPixel(georaster, georaster.values[0][row][col]);
+}
+
+// Pixel-wise comparison of a against b in color-scale space (ratio is stored as log)
+function diffValue(a, b, diffMode) {
+  if (a == null || b == null || !Number.isFinite(a) || !Number.isFinite(b)) return null;
+  if (diffMode === "ratio") return (a >= 0 && b > 0) ? Math.log(a / b) : null;
+  if (diffMode === "percent") return (b > 0) ? (a / b - 1) * 100 : null;
+  return a - b;
+}
+
+// Symmetric domain of |a - b|; the initial display max skips the top 1% of outliers
+function computeDiffDomain(gA, gB, diffMode) {
+  if (gA.width !== gB.width || gA.height !== gB.height) return null;
+
+  const mags = [];
+  for (let r = 0; r < gA.height; r++) {
+    for (let c = 0; c < gA.width; c++) {
+      const d = diffValue(georasterValue(gA, r, c), georasterValue(gB, r, c), diffMode);
+      if (Number.isFinite(d)) mags.push(Math.abs(d));
+    }
+  }
+  if (!mags.length) return null;
+
+  mags.sort((x, y) => x - y);
+  const max = mags[mags.length - 1];
+  if (!(max > 0)) return null;
+
+  const initial = mags[Math.floor(0.99 * (mags.length - 1))] || max;
+  return { min: -max, max, initial };
+}
+
+function getOverlayDomain() {
+  if (overlayIsDiverging()) return state.gridDiffDomain;
+  return state.currentGridVar ? getGlobalDomainForGridVar(state.currentGridVar) : null;
+}
+
+// Emissions and absolute differences follow the grid unit; percent and ratio are unitless
+function overlayUnitFactor() {
+  return (overlayIsDiverging() && state.gridDiffMode !== "absolute") ? 1 : GRID_UNITS[state.gridUnit].factor;
+}
+
+function formatOverlayValue(x) {
+  if (x == null || !Number.isFinite(x)) return "";
+  if (!overlayIsDiverging()) return fmt(gridVal(x));
+  if (state.gridDiffMode === "ratio") return `×${fmt(Math.exp(x))}`;
+  if (state.gridDiffMode === "percent") return `${fmt(x)}%`;
+  return fmt(gridVal(x));
+}
+
+function overlayUnitsHtml() {
+  if (!overlayIsDiverging()) return gridUnitsHtml();
+  const { a, b } = gridComparisonLabels();
+  if (state.gridDiffMode === "ratio") return `${a} / ${b}`;
+  if (state.gridDiffMode === "percent") return `% change, ${a} vs ${b}`;
+  return `${gridUnitsHtml()} (${a} − ${b})`;
+}
+
+// Diverging overlays scale a symmetric magnitude 0..max
+function gridSliderRange(dom) {
+  return overlayIsDiverging() ? { lo: 0, hi: dom.max } : { lo: dom.min, hi: dom.max };
+}
+
+function getEffectiveGridMax() {
+  const dom = getOverlayDomain();
+  if (!dom) return null;
+
+  const maxRaw = Number(dom.max ?? 1);
+  return (state.gridDisplayMax != null) ? Number(state.gridDisplayMax) : maxRaw;
+}
+
+function getEffectiveGridMin() {
+  const dom = getOverlayDomain();
+  if (!dom) return null;
+  if (overlayIsDiverging()) return -getEffectiveGridMax();
+
+  return (state.gridDisplayMin != null) ? Number(state.gridDisplayMin) : Number(dom.min ?? 0);
+}
+
+function colorScale(key) {
+  if (!state.colorScaleCache[key]) {
+    const colors = GRID_COLORMAPS[key]?.colors ?? key;
+    state.colorScaleCache[key] = chroma.scale(colors);
+  }
+  return state.colorScaleCache[key];
+}
+
+function clamp01(t) {
+  return Math.max(0, Math.min(1, t));
+}
+
+function logStretchMin(min, max) {
+  return (min > 0) ? min : max * LOG_STRETCH_FLOOR;
+}
+
+// Position of v on the colorbar [0..1] for the sequential stretch
+function stretchT(v, min, max, stretch) {
+  if (stretch === "log") {
+    const lo = Math.log10(logStretchMin(min, max));
+    const hi = Math.log10(max);
+    return clamp01((Math.log10(Math.max(v, 10 ** lo)) - lo) / ((hi - lo) || 1));
+  }
+  if (stretch === "sqrt") {
+    const lo = Math.sqrt(Math.max(0, min));
+    const hi = Math.sqrt(Math.max(0, max));
+    return clamp01((Math.sqrt(Math.max(0, v)) - lo) / ((hi - lo) || 1));
+  }
+  return clamp01((v - min) / ((max - min) || 1));
+}
+
+// Inverse of stretchT
+function stretchValue(t, min, max, stretch) {
+  if (stretch === "log") {
+    const lo = Math.log10(logStretchMin(min, max));
+    return 10 ** (lo + t * (Math.log10(max) - lo));
+  }
+  if (stretch === "sqrt") {
+    const lo = Math.sqrt(Math.max(0, min));
+    return (lo + t * (Math.sqrt(Math.max(0, max)) - lo)) ** 2;
+  }
+  return min + t * (max - min);
+}
+
+function gridColorFor(v) {
+  const dom = getOverlayDomain();
+  if (!dom) return null;
+
+  const max = getEffectiveGridMax();
+
+  if (overlayIsDiverging()) {
+    const t = clamp01(0.5 + v / (2 * (max || 1)));
+    // reversed so increases are red and decreases blue
+    return colorScale(GRID_DIFF_COLORMAP)(1 - t).hex();
+  }
+
+  const t = stretchT(v, getEffectiveGridMin(), max, state.gridStretch);
+  return colorScale(state.gridColormap)(t).hex();
+}
+
+function roundSig(v, digits = 2) {
+  if (!v) return 0;
+  const p = 10 ** (digits - Math.ceil(Math.log10(Math.abs(v))));
+  return Math.round(v * p) / p;
+}
+
+// Tick values for the legend, placed where the stretch puts them
+function gridLegendTicks(min, max, stretch) {
+  let values;
+  if (stretch === "log") {
+    const lo = logStretchMin(min, max);
+    values = [];
+    for (let e = Math.ceil(Math.log10(lo)); e <= Math.floor(Math.log10(max)); e++) values.push(10 ** e);
+    if (values.length < 3) {
+      values = values.flatMap(v => [v, 2 * v, 5 * v]).filter(v => v >= lo && v <= max);
+    }
+    min = lo;
+  } else {
+    values = [0.25, 0.5, 0.75].map(t => roundSig(stretchValue(t, min, max, stretch)));
+  }
+
+  // keep interior ticks clear of the end labels
+  const interior = values
+    .map(v => ({ value: v, t: stretchT(v, min, max, stretch) }))
+    .filter(tick => tick.t > 0.12 && tick.t < 0.88);
+
+  return [{ value: min, t: 0 }, ...interior, { value: max, t: 1 }];
+}
+
+function syncGridSliderToEntry() {
+  const slider = state.el.gridMaxSlider;
+  const out = state.el.gridMaxValue;
+  const minSlider = state.el.gridMinSlider;
+
+  if (!slider || !out || !state.currentGridEntry || !state.currentGridVar) return;
+
+  const dom = getOverlayDomain();
+  if (!dom) {
+    slider.disabled = true;
+    if (minSlider) minSlider.disabled = true;
+    out.textContent = "";
+    return;
+  }
+
+  const { lo, hi } = gridSliderRange(dom);
+  const diverging = overlayIsDiverging();
+
+  slider.disabled = false;
+
+  // Only initialize if user hasn't set it yet
+  if (state.gridDisplayMax == null) state.gridDisplayMax = hi;
+  if (state.gridDisplayMin == null) state.gridDisplayMin = lo;
+
+  // Clamp within global domain
+  state.gridDisplayMax = Math.max(lo, Math.min(hi, state.gridDisplayMax));
+  state.gridDisplayMin = Math.max(lo, Math.min(state.gridDisplayMax, state.gridDisplayMin));
+
+  state.gridMaxT = (state.gridDisplayMax - lo) / (hi - lo);
+  state.gridMaxT = Math.max(0, Math.min(1, state.gridMaxT));
+
+  slider.value = String(Math.round(state.gridMaxT * 1000));
+  out.innerHTML = `${formatOverlayValue(state.gridDisplayMax)} ${overlayUnitsHtml()}`;
+
+  if (minSlider) {
+    // diverging overlays are symmetric around zero, so only the max applies
+    minSlider.disabled = diverging;
+    minSlider.value = String(Math.round(clamp01((state.gridDisplayMin - lo) / (hi - lo)) * 1000));
+    state.el.gridMinValue.innerHTML = diverging ? "" : `${fmt(gridVal(state.gridDisplayMin))} ${gridUnitsHtml()}`;
+  }
+
+  const k = overlayUnitFactor();
+  if (state.el.gridMaxInput) state.el.gridMaxInput.value = roundSig(maxToInput(state.gridDisplayMax), 4);
+  if (state.el.gridMinInput) {
+    state.el.gridMinInput.disabled = diverging;
+    state.el.gridMinInput.value = diverging ? "" : roundSig(state.gridDisplayMin * k, 4);
+  }
+  if (state.el.gridColormapSelect) state.el.gridColormapSelect.disabled = diverging;
+  if (state.el.gridStretchSelect) state.el.gridStretchSelect.disabled = diverging;
+}
+
+// Title, units, color ramp and ticks of the current overlay (shared by the map legend and exports)
+function gridLegendInfo() {
+  if (!state.currentGridEntry || !state.currentGridVar) return null;
+
+  const dom = getOverlayDomain();
+  if (!dom) return null;
+
+  const max = getEffectiveGridMax();
+  const min = getEffectiveGridMin();
+  const diverging = overlayIsDiverging();
+
+  const steps = 40;
   const colors = [];
   for (let i = 0; i < steps; i++) {
-    colors.push(chroma.scale(GRID_COLORMAP)(i / (steps - 1)).hex());
+    const t = i / (steps - 1);
+    colors.push(diverging
+      ? gridColorFor(min + t * (max - min))
+      : colorScale(state.gridColormap)(t).hex());
+  }
+
+  const sectorKey = sectorForGridVar(state.currentGridVar);
+  const title = diverging
+    ? `${gridComparisonLabels().title} – ${labelSector(sectorKey)}`
+    : labelSector(sectorKey);
+
+  const ticks = diverging
+    ? [{ value: min, t: 0 }, { value: 0, t: 0.5 }, { value: max, t: 1 }]
+    : gridLegendTicks(min, max, state.gridStretch);
+
+  const labels = ticks.map(tick => ({ text: formatOverlayValue(tick.value), t: tick.t }));
+
+  return { title, unitsHtml: overlayUnitsHtml(), colors, labels };
+}
+
+function updateGridLegend() {
+  const ctl = state.gridLegendControl;
+  if (!ctl?._container) return;
+
+  const info = gridLegendInfo();
+  if (!info) {
+    ctl._container.innerHTML = "";
+    return;
+  }
+
+  const gradient = `linear-gradient(to right, ${info.colors.join(",")})`;
+  const ticks = info.labels.map(l => {
+    const align = (l.t === 0) ? "start" : (l.t === 1) ? "end" : "mid";
+    return `<span class="tick ${align}" style="left:${(l.t * 100).toFixed(1)}%;">${l.text}</span>`;
+  }).join("");
+
+  ctl._container.innerHTML = `
+    <div class="legend">
+      <div class="title">${info.title}</div>
+      <div class="units">${info.unitsHtml}</div>
+      <div class="bar" style="background:${gradient};"></div>
+      <div class="ticks">${ticks}</div>
+    </div>
+  `;
+}
+
+function adjustmentYears(gridVar) {
+  const pair = sourcePair();
+  if (!pair) return [];
+  return activeYears(pair.posterior).filter(y => gridEntry(gridVar, y, pair.posterior) && gridEntry(gridVar, y, pair.prior));
+}
+
+// Entry drawn on the map plus, for difference overlays, the entry it is compared against
+function gridEntriesForSelection(gridVar, year, emisSource) {
+  const pair = sourcePair(emisSource);
+
+  if (state.gridOverlay === "adjustment") {
+    const post = pair && gridEntry(gridVar, year, pair.posterior);
+    const prior = pair && gridEntry(gridVar, year, pair.prior);
+    return (post && prior) ? { entry: post, compareEntry: prior } : null;
+  }
+
+  if (state.gridOverlay === "change") {
+    const { base, target } = changeYears();
+    const a = gridEntry(gridVar, target, emisSource);
+    const b = gridEntry(gridVar, base, emisSource);
+    return (a && b && base !== target) ? { entry: a, compareEntry: b } : null;
+  }
+
+  // swipe always puts the posterior on the right and its prior (when it exists) on the left
+  if (swipeActive()) {
+    const post = gridEntry(gridVar, year, pair.posterior);
+    return post ? { entry: post, compareEntry: null, swipeEntry: gridEntry(gridVar, year, pair.prior) } : null;
+  }
+
+  const entry = gridEntry(gridVar, year, emisSource);
+  return entry ? { entry, compareEntry: null } : null;
+}
+
+function updateGridOverlayHint(gridVar) {
+  const el = state.el.gridOverlayHint;
+  if (!el) return;
+
+  if (state.gridOverlay === "adjustment") {
+    const yrs = adjustmentYears(gridVar);
+    const { a, b } = gridComparisonLabels();
+    el.textContent = yrs.length
+      ? `${a} minus ${b}; available for ${yrs.join(", ")}.`
+      : `No years have both ${b} and ${a} grids for this sector.`;
+    return;
+  }
+  if (state.gridOverlay === "change") {
+    const { base, target } = changeYears();
+    el.textContent = (base === target)
+      ? "Pick different base and target years under Year comparison."
+      : `Change from ${base} to ${target} (${emisSourceLabel(getEmisSource())}).`;
+    return;
+  }
+  if (swipeActive()) {
+    const year = state.el.yearSelect.value;
+    const { prior, posterior } = sourcePair();
+    el.textContent = gridEntry(gridVar, year, prior)
+      ? `Left of the divider: ${emisSourceLabel(prior)}. Right: ${emisSourceLabel(posterior)}. Both share one color scale.`
+      : `No ${emisSourceLabel(prior)} grid for ${year} (available for ${activeYears(prior).join(", ")}); ` +
+        `showing ${emisSourceLabel(posterior)} only.`;
+    return;
+  }
+  el.textContent = "";
+}
+
+function setGridLoading(loading) {
+  const el = state.gridLoadingControl?._container;
+  if (el) el.style.display = loading ? "" : "none";
+}
+
+async function setGridLayerForSelection() {
+  // A newer selection supersedes this one: abort its fetches and never apply its result
+  state.gridLoadController?.abort();
+  const controller = new AbortController();
+  state.gridLoadController = controller;
+  const { signal } = controller;
+
+  const year = Number(state.el.yearSelect.value);
+  const sectorKey = state.el.sectorSelect.value;
+  const gridVar = gridVarForSector(sectorKey);
+
+  const emisSource = getEmisSource();
+  updateGridOverlayHint(gridVar);
+
+  const pair = gridEntriesForSelection(gridVar, year, emisSource);
+  if (!pair) {
+    console.warn("No GeoTIFF entry for", { gridVar, year, sectorKey, overlay: state.gridOverlay });
+    clearGrid();
+    return;
+  }
+
+  const { entry, compareEntry, swipeEntry } = pair;
+  let georaster;
+  let compare;
+  let swipe;
+
+  setGridLoading(true);
+  try {
+    [georaster, compare, swipe] = await Promise.all([
+      loadGeoraster(entry.tif, { signal }),
+      compareEntry ? loadGeoraster(compareEntry.tif, { signal }) : null,
+      swipeEntry ? loadGeoraster(swipeEntry.tif, { signal }) : null,
+    ]);
+  } catch (err) {
+    if (isAbortError(err)) return;
+    console.warn("Failed to load GeoTIFF", { tif: entry.tif, compare: compareEntry?.tif, swipe: swipeEntry?.tif }, err);
+    reportIssue("error", [entry, compareEntry, swipeEntry].filter(Boolean).map(e => e.tif).join(", "),
+      `could not be loaded (${err?.message ?? err}); the grid overlay is hidden.`);
+    clearGrid();
+    return;
+  } finally {
+    if (state.gridLoadController === controller) setGridLoading(false);
+  }
+
+  // nothing below awaits, so the selection cannot change while the layer is applied
+  if (signal.aborted) return;
+
+  state.currentGridEntry = entry;
+  state.currentGridVar = gridVar;
+
+  // reference entry ALWAYS posterior for slider + legend + colormap scaling
+  state.colorbarRefEntry = getColorbarReferenceEntry(gridVar, year) || entry;
+
+  state.gridGeoraster = georaster;
+  state.gridCompareGeoraster = compare;
+
+  if (compare) {
+    state.gridDiffDomain = computeDiffDomain(georaster, compare, state.gridDiffMode);
+    if (!state.gridDiffDomain) {
+      console.warn("Cannot difference GeoTIFFs", { a: entry.tif, b: compareEntry.tif });
+      reportIssue("warning", `${entry.tif}, ${compareEntry.tif}`,
+        `cannot be differenced (different grids, or no overlapping values); the ${gridComparisonLabels().title.toLowerCase()} overlay is unavailable.`);
+      clearGrid();
+      return;
+    }
+    // each difference has its own domain, so start from its robust max
+    state.gridDisplayMax = state.gridDiffDomain.initial;
+  }
+
+  const oldLayer = state.gridLayer;
+  const oldSwipeLayer = state.gridSwipeLayer;
+
+  state.gridLayer = new GeoRasterLayer({
+    ...(compare ? { georasters: [georaster, compare] } : { georaster }),
+    pane: "gridPane",
+    opacity: getGridOpacity(),
+    resolution: GRID_RESOLUTION,
+    pixelValuesToColorFn: (vals) => {
+      const a = validPixel(georaster, vals?.[0]);
+      const v = compare ? diffValue(a, validPixel(compare, vals?.[1]), state.gridDiffMode) : a;
+      if (v == null) return null;
+      return gridColorFor(v);
+    },
+  });
+
+  // the prior side goes through gridColorFor too, so both halves share the global domain
+  state.gridSwipeGeoraster = swipe;
+  state.gridSwipeLayer = swipe ? new GeoRasterLayer({
+    georaster: swipe,
+    pane: "gridSwipePane",
+    opacity: getGridOpacity(),
+    resolution: GRID_RESOLUTION,
+    pixelValuesToColorFn: (vals) => {
+      const v = validPixel(swipe, vals?.[0]);
+      if (v == null) return null;
+      return gridColorFor(v);
+    },
+  }) : null;
+
+  swapGridLayer(oldLayer, state.gridLayer);
+  swapGridLayer(oldSwipeLayer, state.gridSwipeLayer);
+  updateSwipeClip();
+
+  bringPlaceLayersToFront();
+
+  syncGridSliderToEntry();
+  updateGridLegend();
+
+  // warm the prior comparison raster for the pixel inspector
+  ensureInspectPriorLoaded().catch(err => console.warn("Could not load prior raster for comparison", err));
+}
+
+// Keep the previous layer until the new one has drawn, so year changes don't flash blank
+function swapGridLayer(oldLayer, newLayer) {
+  if (newLayer && gridEnabled()) {
+    newLayer.addTo(state.map);
+    if (oldLayer) newLayer.once("load remove", () => state.map.removeLayer(oldLayer));
+  } else if (oldLayer) {
+    state.map.removeLayer(oldLayer);
+  }
+}
+
+function redrawGrid() {
+  syncGridSliderToEntry();
+  state.gridLayer?.redraw?.();
+  state.gridSwipeLayer?.redraw?.();
+  updateGridLegend();
+}
+
+function handleGridSliderInput() {
+  if (!state.currentGridVar) return;
+
+  const dom = getOverlayDomain();
+  if (!dom) return;
+
+  const { lo, hi } = gridSliderRange(dom);
+
+  state.gridMaxT = Number(state.el.gridMaxSlider.value) / 1000;
+  state.gridDisplayMax = lo + state.gridMaxT * (hi - lo);
+
+  // pushing the max below the min drags the min along
+  if (state.gridDisplayMin != null) state.gridDisplayMin = Math.min(state.gridDisplayMin, state.gridDisplayMax);
+
+  redrawGrid();
+}
+
+function handleGridMinSliderInput() {
+  if (!state.currentGridVar || overlayIsDiverging()) return;
+
+  const dom = getOverlayDomain();
+  if (!dom) return;
+
+  const { lo, hi } = gridSliderRange(dom);
+  state.gridDisplayMin = lo + (Number(state.el.gridMinSlider.value) / 1000) * (hi - lo);
+  state.gridDisplayMax = Math.max(state.gridDisplayMax ?? hi, state.gridDisplayMin);
+
+  redrawGrid();
+}
+
+// The ratio overlay scales ln(a/b) but shows and takes the ratio itself (×2 ≡ ×0.5)
+function maxToInput(x) {
+  return isRatioOverlay() ? Math.exp(x) : x * overlayUnitFactor();
+}
+
+function maxFromInput(v) {
+  if (!isRatioOverlay()) return v / overlayUnitFactor();
+  return (v > 0) ? Math.abs(Math.log(v)) : null;
+}
+
+function isRatioOverlay() {
+  return overlayIsDiverging() && state.gridDiffMode === "ratio";
+}
+
+function handleGridNumberInput() {
+  if (!state.currentGridVar) return;
+
+  // inputs are in display units
+  const readInput = (el) => (el && el.value.trim() !== "") ? parseNumber(el.value) : null;
+  const maxValue = readInput(state.el.gridMaxInput);
+  const minValue = readInput(state.el.gridMinInput);
+  const max = (maxValue == null) ? null : maxFromInput(maxValue);
+  const min = (minValue == null) ? null : minValue / overlayUnitFactor();
+
+  if (max != null) state.gridDisplayMax = max;
+  if (min != null && !overlayIsDiverging()) state.gridDisplayMin = min;
+  if (state.gridDisplayMin != null && state.gridDisplayMin > state.gridDisplayMax) {
+    state.gridDisplayMin = state.gridDisplayMax;
+  }
+
+  redrawGrid();
+}
+
+function initGridColormapSelect() {
+  const el = state.el.gridColormapSelect;
+  if (!el) return;
+
+  el.innerHTML = "";
+  for (const [key, cmap] of Object.entries(GRID_COLORMAPS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = cmap.label;
+    el.appendChild(opt);
+  }
+  el.value = state.gridColormap;
+  if (state.el.gridStretchSelect) state.el.gridStretchSelect.value = state.gridStretch;
+}
+
+function handleGridColorOptionsChange() {
+  state.gridColormap = state.el.gridColormapSelect.value;
+  state.gridStretch = state.el.gridStretchSelect.value;
+  redrawGrid();
+}
+
+async function handleGridOverlayChange() {
+  state.gridOverlay = state.el.gridOverlaySelect.value;
+  state.gridDiffMode = state.el.gridDiffModeSelect.value;
+  state.el.gridDiffModeSelect.disabled = !overlayIsDiverging();
+  if (state.el.gridSwipeToggle) state.el.gridSwipeToggle.disabled = overlayIsDiverging();
+
+  // the color scale means something different now; start from the default stretch
+  state.gridDisplayMax = null;
+  state.gridDisplayMin = null;
+  await setGridLayerForSelection();
+}
+
+/* ===================== SWIPE COMPARISON ===================== */
+
+function swipeActive() {
+  return state.gridSwipe && state.gridOverlay === "emissions" && !!sourcePair();
+}
+
+// Clip the prior pane to the left of the divider and the main grid pane to the right
+function updateSwipeClip() {
+  const map = state.map;
+  const gridPane = map?.getPane("gridPane");
+  const swipePane = map?.getPane("gridSwipePane");
+  if (!gridPane || !swipePane) return;
+
+  const on = swipeActive() && !!state.gridSwipeLayer && gridEnabled();
+  if (state.swipeEl) state.swipeEl.style.display = on ? "" : "none";
+
+  if (!on) {
+    gridPane.style.clip = "";
+    swipePane.style.clip = "";
+    return;
+  }
+
+  // panes live in layer coordinates, which shift as the map pans
+  const size = map.getSize();
+  const nw = map.containerPointToLayerPoint([0, 0]);
+  const se = map.containerPointToLayerPoint(size);
+  const x = nw.x + state.swipeFraction * size.x;
+
+  swipePane.style.clip = `rect(${nw.y}px, ${x}px, ${se.y}px, ${nw.x}px)`;
+  gridPane.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${x}px)`;
+
+  const pair = sourcePair();
+  state.swipeEl.querySelector(".swipe-label.left").textContent = emisSourceLabel(pair.prior);
+  state.swipeEl.querySelector(".swipe-label.right").textContent = emisSourceLabel(pair.posterior);
+
+  const pct = state.swipeFraction * 100;
+  state.swipeEl.querySelector(".swipe-divider").style.left = `${pct}%`;
+  state.swipeEl.querySelector(".swipe-label.left").style.right = `${100 - pct}%`;
+  state.swipeEl.querySelector(".swipe-label.right").style.left = `${pct}%`;
+}
+
+function initSwipeControl() {
+  const map = state.map;
+
+  // grid layers get their own panes so the swipe can clip them without touching the basemap
+  map.createPane("gridPane").style.zIndex = 250;
+  map.createPane("gridSwipePane").style.zIndex = 260;
+
+  const wrap = L.DomUtil.create("div", "swipe", map.getContainer());
+  wrap.style.display = "none";
+  wrap.innerHTML = `
+    <div class="swipe-divider"></div>
+    <span class="swipe-label left"></span>
+    <span class="swipe-label right"></span>
+    <input class="swipe-range" type="range" min="0" max="1000" step="1" value="${state.swipeFraction * 1000}" aria-label="Swipe position" />
+  `;
+  L.DomEvent.disableClickPropagation(wrap);
+  state.swipeEl = wrap;
+
+  wrap.querySelector(".swipe-range").addEventListener("input", (e) => {
+    state.swipeFraction = Number(e.target.value) / 1000;
+    updateSwipeClip();
+  });
+
+  map.on("move zoomend resize", updateSwipeClip);
+}
+
+async function handleGridSwipeToggle() {
+  state.gridSwipe = state.el.gridSwipeToggle.checked;
+  await setGridLayerForSelection();
+}
+
+/* ===================== PIXEL INSPECTOR ===================== */
+
+// Value + cell geometry of the pixel under (lat, lng), or null outside the raster
+function sampleGeoraster(georaster, lat, lng) {
+  if (!georaster?.values) return null;
+
+  const { xmin, ymax, pixelWidth, pixelHeight, width, height } = georaster;
+  const col = Math.floor((lng - xmin) / pixelWidth);
+  const row = Math.floor((ymax - lat) / pixelHeight);
+  if (col < 0 || row < 0 || col >= width || row >= height) return null;
+
+  let value = georaster.values[0][row][col];
+  if (value === georaster.noDataValue || !Number.isFinite(value)) value = null;
+
+  const west = xmin + col * pixelWidth;
+  const north = ymax - row * pixelHeight;
+
+  return {
+    value,
+    row,
+    col,
+    lat: north - pixelHeight / 2,
+    lng: west + pixelWidth / 2,
+    bounds: { west, east: west + pixelWidth, south: north - pixelHeight, north },
+  };
+}
+
+function priorEntryForSelection() {
+  const pair = sourcePair();
+  if (!pair || (getEmisSource() === pair.prior && !swipeActive()) || overlayIsDiverging() || !state.currentGridVar) return null;
+  return gridEntry(state.currentGridVar, Number(state.el.yearSelect.value), pair.prior);
+}
+
+// Load the prior raster matching the displayed posterior (kept until the selection changes)
+async function ensureInspectPriorLoaded() {
+  const entry = priorEntryForSelection();
+  if (!entry) return null;
+  if (state.inspectPrior?.tif === entry.tif) return state.inspectPrior.georaster;
+
+  const georaster = await loadGeoraster(entry.tif);
+  // selection may have moved on while loading
+  if (priorEntryForSelection()?.tif !== entry.tif) return null;
+
+  state.inspectPrior = { tif: entry.tif, georaster };
+  return georaster;
+}
+
+function inspectPriorGeoraster() {
+  const entry = priorEntryForSelection();
+  return (entry && state.inspectPrior?.tif === entry.tif) ? state.inspectPrior.georaster : null;
+}
+
+function inspectPrimaryLabel() {
+  if (overlayIsDiverging()) return gridComparisonLabels().a;
+  // the swipe keeps the posterior in the main layer whatever the data source
+  return emisSourceLabel(swipeActive() ? sourcePair().posterior : getEmisSource());
+}
+
+// The raster compared against at this point: the difference partner, else the prior
+function inspectComparison(lat, lng) {
+  const diverging = overlayIsDiverging();
+  const georaster = diverging ? state.gridCompareGeoraster : inspectPriorGeoraster();
+  const px = sampleGeoraster(georaster, lat, lng);
+  if (!px) return null;
+  return { label: diverging ? gridComparisonLabels().b : emisSourceLabel(sourcePair()?.prior), px };
+}
+
+function diffValueHtml(d) {
+  if (d == null || Number.isNaN(d)) return "n/a";
+  return (state.gridDiffMode === "absolute") ? `${fmt(gridVal(d))} ${gridUnitsHtml()}` : formatOverlayValue(d);
+}
+
+function fmtCoord(v, pos, neg) {
+  return `${Math.abs(v).toFixed(3)}°${v >= 0 ? pos : neg}`;
+}
+
+function pixelValueHtml(v) {
+  return (v == null) ? "no data" : `${fmt(gridVal(v))} ${gridUnitsHtml()}`;
+}
+
+function makePixelPopupHtml(lat, lng) {
+  const px = sampleGeoraster(state.gridGeoraster, lat, lng);
+  if (!px) return null;
+
+  const b = px.bounds;
+  const cmp = inspectComparison(lat, lng);
+  const when = (state.gridOverlay === "change") ? gridComparisonLabels().title : state.el.yearSelect.value;
+  const lines = [
+    `<div class="title">${labelSector(sectorForGridVar(state.currentGridVar))} – ${when}</div>`,
+    `<div><strong>${inspectPrimaryLabel()}:</strong> ${pixelValueHtml(px.value)}</div>`,
+  ];
+
+  if (cmp) lines.push(`<div><strong>${cmp.label}:</strong> ${pixelValueHtml(cmp.px.value)}</div>`);
+  if (cmp && overlayIsDiverging()) {
+    const d = diffValue(px.value, cmp.px.value, state.gridDiffMode);
+    lines.push(`<div><strong>${gridComparisonLabels().title}:</strong> ${diffValueHtml(d)}</div>`);
+  }
+
+  lines.push(
+    `<div class="muted">Cell center: ${fmtCoord(px.lat, "N", "S")}, ${fmtCoord(px.lng, "E", "W")}</div>`,
+    `<div class="muted">Cell bounds: ${fmtCoord(b.south, "N", "S")} to ${fmtCoord(b.north, "N", "S")}, ` +
+    `${fmtCoord(b.west, "E", "W")} to ${fmtCoord(b.east, "E", "W")}</div>`,
+  );
+
+  return `<div class="pixel-info">${lines.join("")}</div>`;
+}
+
+function updatePixelReadout(latlng) {
+  const ctl = state.pixelReadoutControl;
+  if (!ctl?._container) return;
+
+  const px = (latlng && state.gridGeoraster && gridEnabled())
+    ? sampleGeoraster(state.gridGeoraster, latlng.lat, latlng.lng)
+    : null;
+
+  if (!px) {
+    ctl._container.style.display = "none";
+    return;
+  }
+
+  const cmp = inspectComparison(latlng.lat, latlng.lng);
+  let mainHtml = pixelValueHtml(px.value);
+  let cmpHtml = cmp ? ` <span class="muted">(${cmp.label} ${pixelValueHtml(cmp.px.value)})</span>` : "";
+  if (cmp && overlayIsDiverging()) {
+    mainHtml = diffValueHtml(diffValue(px.value, cmp.px.value, state.gridDiffMode));
+    cmpHtml = ` <span class="muted">(${px.value == null ? "no data" : fmt(gridVal(px.value))} vs ` +
+      `${cmp.px.value == null ? "no data" : fmt(gridVal(cmp.px.value))})</span>`;
+  }
+
+  ctl._container.style.display = "";
+  ctl._container.innerHTML =
+    `${mainHtml}${cmpHtml}<br>` +
+    `<span class="muted">${fmtCoord(px.lat, "N", "S")}, ${fmtCoord(px.lng, "E", "W")}</span>`;
+}
+
+async function openPixelPopup(latlng) {
+  if (!state.gridGeoraster || !gridEnabled()) return;
+
+  try {
+    await ensureInspectPriorLoaded();
+  } catch (err) {
+    console.warn("Could not load prior raster for comparison", err);
+  }
+
+  const html = makePixelPopupHtml(latlng.lat, latlng.lng);
+  if (!html) return;
+
+  L.popup({ maxWidth: 320 }).setLatLng(latlng).setContent(html).openOn(state.map);
+}
+
+function initPixelInspector() {
+  state.pixelReadoutControl = L.control({ position: "bottomleft" });
+  state.pixelReadoutControl.onAdd = function () {
+    const div = L.DomUtil.create("div");
+    div.className = "pixel-readout";
+    div.style.display = "none";
+    return div;
+  };
+  state.pixelReadoutControl.addTo(state.map);
+
+  let pending = null;
+  state.map.on("mousemove", (e) => {
+    pending = e.latlng;
+    requestAnimationFrame(() => {
+      if (pending) updatePixelReadout(pending);
+      pending = null;
+    });
+  });
+  state.map.on("mouseout", () => updatePixelReadout(null));
+  state.map.on("click", (e) => openPixelPopup(e.latlng));
+}
+
+/* ===================== YEAR COMPARISON ===================== */
+
+function changeYears() {
+  return {
+    base: Number(state.el.changeBaseYearSelect?.value),
+    target: Number(state.el.changeTargetYearSelect?.value),
+  };
+}
+
+function populateYearSelect(selectEl, yrs, fallback) {
+  const prev = Number(selectEl.value);
+  selectEl.innerHTML = "";
+  for (const y of yrs) {
+    const opt = document.createElement("option");
+    opt.value = y;
+    opt.textContent = y;
+    selectEl.appendChild(opt);
+  }
+  selectEl.value = yrs.includes(prev) ? prev : fallback;
+}
+
+function initChangeYearSelects() {
+  if (!state.el.changeBaseYearSelect || !state.el.changeTargetYearSelect) return;
+  const yrs = activeYears(getEmisSource());
+  populateYearSelect(state.el.changeBaseYearSelect, yrs, yrs[0]);
+  populateYearSelect(state.el.changeTargetYearSelect, yrs, yrs[yrs.length - 1]);
+}
+
+// Change between two rows; the range pairs the opposite bounds of each year
+function makeChangeRow(place, mode, { base, target }, rowBase, rowTarget, col, sectorKey, emisSource) {
+  const valueAt = (row, c, year) =>
+    normVal(parseNumber(row[c]), { mode, place, year, sectorKey, boundaryKey: "states" });
+  const vb = rowBase ? valueAt(rowBase, col, base) : null;
+  const vt = rowTarget ? valueAt(rowTarget, col, target) : null;
+  const change = (vb != null && vt != null) ? vt - vb : null;
+  const pct = (change != null && vb > 0) ? (change / vb) * 100 : null;
+
+  let changeMin = null;
+  let changeMax = null;
+  if (hasUncertainty(emisSource, mode) && rowBase && rowTarget) {
+    const bMin = valueAt(rowBase, minCol(sectorKey), base);
+    const bMax = valueAt(rowBase, maxCol(sectorKey), base);
+    const tMin = valueAt(rowTarget, minCol(sectorKey), target);
+    const tMax = valueAt(rowTarget, maxCol(sectorKey), target);
+    if ([bMin, bMax, tMin, tMax].every(v => v != null)) {
+      changeMin = tMin - bMax;
+      changeMax = tMax - bMin;
+    }
+  }
+
+  return { place, base: vb, target: vt, change, pct, changeMin, changeMax };
+}
+
+function buildStateChangeRows(sectorKey, emisSource, base, target) {
+  const byBase = stateRows(emisSource, base);
+  const byTarget = stateRows(emisSource, target);
+  const names = [...new Set([...Object.keys(byBase), ...Object.keys(byTarget)])].sort();
+  const col = stateCentralCol(sectorKey, emisSource);
+
+  const rows = names.map(name =>
+    makeChangeRow(name, "state", { base, target }, byBase[name], byTarget[name], col, sectorKey, emisSource));
+
+  // largest absolute change first; states without data last
+  const magnitude = (r) => (r.change == null) ? -1 : Math.abs(r.change);
+  rows.sort((a, b) => magnitude(b) - magnitude(a));
+
+  rows.unshift(makeChangeRow("National", "national", { base, target }, nationalRow(emisSource, base), nationalRow(emisSource, target),
+    centralCol(sectorKey, "national", emisSource), sectorKey, emisSource));
+
+  return rows;
+}
+
+function fmtSigned(v) {
+  if (v == null || !Number.isFinite(v)) return "";
+  return (v > 0 ? "+" : "") + fmt(v);
+}
+
+function updateChangeTable() {
+  const el = state.el.changeTable;
+  if (!el) return;
+
+  const { base, target } = changeYears();
+  if (!Number.isFinite(base) || !Number.isFinite(target) || base === target) {
+    el.innerHTML = `<div class="hint">Pick two different years to compare.</div>`;
+    return;
+  }
+
+  const sectorKey = state.el.sectorSelect.value;
+  const rows = buildStateChangeRows(sectorKey, getEmisSource(), base, target);
+
+  const body = rows.map(r => {
+    const range = (r.changeMin != null) ? `<span class="muted">${fmtSigned(r.changeMin)} to ${fmtSigned(r.changeMax)}</span>` : "";
+    const cls = (r.change > 0) ? "up" : (r.change < 0) ? "down" : "";
+    return `
+      <tr>
+        <td>${escapeHtml(r.place)}</td>
+        <td class="num">${fmt(r.base)}</td>
+        <td class="num">${fmt(r.target)}</td>
+        <td class="num ${cls}">${fmtSigned(r.change)}</td>
+        <td class="num">${range}</td>
+        <td class="num ${cls}">${r.pct == null ? "" : fmtSigned(r.pct) + "%"}</td>
+      </tr>`;
+  }).join("");
+
+  el.innerHTML = `
+    <table class="dataTable">
+      <thead>
+        <tr>
+          <th>Place</th>
+          <th class="num">${base}</th>
+          <th class="num">${target}</th>
+          <th class="num">Change</th>
+          <th class="num">Range</th>
+          <th class="num">%</th>
+        </tr>
+      </thead>
+      <tbody>${body}</tbody>
+    </table>
+    <div class="hint" style="margin:6px 0 0;">${labelSector(sectorKey)}, ${state.unitLabel}. Range pairs the lower bound of one year with the upper bound of the other.</div>
+  `;
+}
+
+function makeChangeCsvRows() {
+  const { base, target } = changeYears();
+  const sectorKey = state.el.sectorSelect.value;
+  const emisSource = getEmisSource();
+
+  const rows = [
+    ["type", "change"],
+    ["sector", labelSector(sectorKey)],
+    ["base_year", base],
+    ["target_year", target],
+    ["units", state.unitLabel],
+    ["normalization", normalizationLabel()],
+    ["gwp_basis", gwpBasisLabel()],
+    ["data_source", emisSourceLabel(emisSource)],
+    [],
+    ["place", "base", "target", "change", "change_min", "change_max", "change_pct"],
+  ];
+
+  for (const r of buildStateChangeRows(sectorKey, emisSource, base, target)) {
+    rows.push([r.place, r.base, r.target, r.change, r.changeMin, r.changeMax, r.pct]);
+  }
+  return rows;
+}
+
+async function handleChangeYearsChange() {
+  updateChangeTable();
+  if (state.gridOverlay === "change") {
+    state.gridDisplayMax = null;
+    state.gridDisplayMin = null;
+    await setGridLayerForSelection();
+  }
+}
+
+/* ===================== STATE RANKING ===================== */
+
+const RANKING_COLUMNS = [
+  { key: "name", label: "State", num: false },
+  { key: "value", label: "Value", num: true },
+  { key: "min", label: "Min", num: true },
+  { key: "max", label: "Max", num: true },
+  { key: "relUnc", label: "± %", num: true },
+  { key: "share", label: "% of US", num: true },
+  { key: "change", label: "Δ prev yr", num: true },
+];
+
+// One row per state in the state CSV for the year; uncertainty only exists for some sources
+function buildRankingRows(year, sectorKey, emisSource) {
+  const byState = stateRows(emisSource, year);
+  const prevYear = activeYears(emisSource).includes(year - 1) ? year - 1 : null;
+  const col = stateCentralCol(sectorKey, emisSource);
+  const withUnc = hasUncertainty(emisSource);
+
+  // shares compare absolute emissions, whatever the normalization
+  const national = parseNumber(nationalRow(emisSource, year)?.[centralCol(sectorKey, "national", emisSource)]);
+
+  return Object.entries(byState).map(([name, row]) => {
+    const valueAt = (r, c, y) => normVal(parseNumber(r[c]), { mode: "state", place: name, year: y, sectorKey, boundaryKey: "states" });
+    const absolute = parseNumber(row[col]);
+    const value = valueAt(row, col, year);
+    const min = withUnc ? valueAt(row, minCol(sectorKey), year) : null;
+    const max = withUnc ? valueAt(row, maxCol(sectorKey), year) : null;
+    const prevRow = (prevYear != null) ? stateRows(emisSource, prevYear)[name] : null;
+    const prev = prevRow ? valueAt(prevRow, col, prevYear) : null;
+
+    return {
+      name,
+      value,
+      min,
+      max,
+      // half the min-max range relative to the central value
+      relUnc: (min != null && max != null && value > 0) ? ((max - min) / 2 / value) * 100 : null,
+      share: (absolute != null && national > 0) ? (absolute / national) * 100 : null,
+      change: (value != null && prev != null) ? value - prev : null,
+    };
+  });
+}
+
+// Filtered by name and sorted by the active column; rows without a value sort last
+function rankingRowsForView() {
+  const { sortKey, sortDir, filter } = state.ranking;
+  const year = Number(state.el.yearSelect.value);
+  const needle = filter.trim().toLowerCase();
+
+  const rows = buildRankingRows(year, state.el.sectorSelect.value, getEmisSource())
+    .filter(r => !needle || r.name.toLowerCase().includes(needle));
+
+  rows.sort((a, b) => {
+    const va = a[sortKey];
+    const vb = b[sortKey];
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (sortKey === "name" ? va.localeCompare(vb) : va - vb) * sortDir;
+  });
+  return rows;
+}
+
+function updateRankingTable() {
+  const el = state.el.rankingTable;
+  if (!el) return;
+
+  const rows = rankingRowsForView();
+  const { sortKey, sortDir } = state.ranking;
+  const pct = (v) => (v == null) ? "" : `${fmt(v)}%`;
+
+  const head = RANKING_COLUMNS.map(c => {
+    const arrow = (c.key === sortKey) ? (sortDir > 0 ? " ▲" : " ▼") : "";
+    const aria = (c.key === sortKey) ? (sortDir > 0 ? "ascending" : "descending") : "none";
+    return `<th class="sortable ${c.num ? "num" : ""}" data-sort="${c.key}" aria-sort="${aria}">${c.label}${arrow}</th>`;
+  }).join("");
+
+  const body = rows.map((r, i) => {
+    const cls = (r.change > 0) ? "up" : (r.change < 0) ? "down" : "";
+    const selected = (state.boundaryKey === "states" && state.selectedStates.includes(r.name)) ? "selected" : "";
+    return `
+      <tr class="clickable ${selected}" data-name="${escapeHtml(r.name)}">
+        <td>${sortKey === "name" ? "" : `<span class="muted">${i + 1}.</span> `}${escapeHtml(r.name)}</td>
+        <td class="num">${fmt(r.value)}</td>
+        <td class="num">${fmt(r.min)}</td>
+        <td class="num">${fmt(r.max)}</td>
+        <td class="num">${pct(r.relUnc)}</td>
+        <td class="num">${pct(r.share)}</td>
+        <td class="num ${cls}">${fmtSigned(r.change)}</td>
+      </tr>`;
+  }).join("");
+
+  el.innerHTML = `
+    <table class="dataTable">
+      <thead><tr>${head}</tr></thead>
+      <tbody>${body || `<tr><td colspan="${RANKING_COLUMNS.length}" class="muted">No matching states.</td></tr>`}</tbody>
+    </table>
+  `;
+
+  if (state.el.rankingHint) {
+    const sectorKey = state.el.sectorSelect.value;
+    state.el.rankingHint.textContent =
+      `${labelSector(sectorKey)}, ${state.el.yearSelect.value}, ${state.unitLabel} (${emisSourceLabel(getEmisSource())}). ` +
+      "± % is half the min–max range relative to the value.";
+  }
+}
+
+function handleRankingSort(key) {
+  const r = state.ranking;
+  // numbers start largest first, names A–Z
+  if (r.sortKey === key) r.sortDir = -r.sortDir;
+  else r.sortDir = (key === "name") ? 1 : -1;
+  r.sortKey = key;
+  updateRankingTable();
+}
+
+// Rows are states, so switch the map back to states before selecting
+async function selectRankingRow(name, additive) {
+  if (state.boundaryKey !== "states") {
+    state.el.boundarySelect.value = "states";
+    await setBoundaryLayer("states");
+  }
+  if (getChartMode() !== "state") setChartMode("state");
+  selectPlace(name, additive);
+}
+
+function handleRankingTableClick(e) {
+  const th = e.target.closest("th[data-sort]");
+  if (th) return handleRankingSort(th.dataset.sort);
+
+  const tr = e.target.closest("tr[data-name]");
+  if (tr) selectRankingRow(tr.dataset.name, e.shiftKey || e.ctrlKey || e.metaKey);
+}
+
+function makeRankingCsvRows() {
+  const year = Number(state.el.yearSelect.value);
+  const sectorKey = state.el.sectorSelect.value;
+  const emisSource = getEmisSource();
+
+  const rows = [
+    ["type", "ranking"],
+    ["sector", labelSector(sectorKey)],
+    ["year", year],
+    ["units", state.unitLabel],
+    ["normalization", normalizationLabel()],
+    ["gwp_basis", gwpBasisLabel()],
+    ["data_source", emisSourceLabel(emisSource)],
+    ["filter", state.ranking.filter],
+    [],
+    ["rank", "state", "value", "min", "max", "rel_uncertainty_pct", "share_of_national_pct", "change_from_prev_year"],
+  ];
+
+  rankingRowsForView().forEach((r, i) => {
+    rows.push([i + 1, r.name, r.value, r.min, r.max, r.relUnc, r.share, r.change]);
+  });
+  return rows;
+}
+
+/* ===================== MAP RENDERING ===================== */
+
+const SUPERSCRIPTS = { "-": "⁻", "0": "⁰", "1": "¹", "2": "²", "3": "³", "4": "⁴", "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹" };
+
+// Plain-text version of unit HTML such as GRID_UNITS, for canvas text and file headers
+function htmlToText(html) {
+  return String(html)
+    .replace(/<sup>(.*?)<\/sup>/g, (_, sup) => [...sup].map(ch => SUPERSCRIPTS[ch] ?? ch).join(""))
+    .replace(/<[^>]+>/g, "")
+    .replace(/&copy;/g, "©");
+}
+
+function geometryRings(geometry) {
+  if (geometry?.type === "Polygon") return geometry.coordinates;
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+}
+
+function swipeShown() {
+  return swipeActive() && !!state.gridSwipeGeoraster && gridEnabled();
+}
+
+function mapViewTitle() {
+  const info = gridLegendInfo();
+  const year = state.el.yearSelect.value;
+  if (info && overlayIsDiverging() && gridEnabled()) {
+    return (state.gridOverlay === "adjustment") ? `${info.title} – ${year}` : info.title;
+  }
+
+  const sectorKey = state.el.sectorSelect.value;
+  const source = swipeShown() ? swipeSourcesLabel() : emisSourceLabel(getEmisSource());
+  return `${labelSector(sectorKey)} – ${year} (${source})`;
+}
+
+// Copy the loaded basemap tiles where they sit on screen (upscaled for hi-res exports)
+function drawBasemapOnCanvas(ctx, scale) {
+  const container = state.basemapLayer?.getContainer?.();
+  if (!container || !state.map.hasLayer(state.basemapLayer)) return;
+
+  const origin = state.map.getContainer().getBoundingClientRect();
+  for (const img of container.querySelectorAll("img.leaflet-tile-loaded")) {
+    const r = img.getBoundingClientRect();
+    ctx.drawImage(img, (r.left - origin.left) * scale, (r.top - origin.top) * scale, r.width * scale, r.height * scale);
+  }
+}
+
+// The grid as shown: one raster, or the prior | posterior swipe split at the divider
+function drawGridOnCanvas(ctx, scale) {
+  if (!gridEnabled()) return;
+
+  const cmp = overlayIsDiverging() ? state.gridCompareGeoraster : null;
+  if (!swipeShown()) {
+    drawGeorasterOnCanvas(ctx, scale, state.gridGeoraster, cmp);
+    return;
+  }
+
+  const { width, height } = ctx.canvas;
+  const x = Math.round(state.swipeFraction * width);
+  const halves = [[state.gridSwipeGeoraster, 0, x], [state.gridGeoraster, x, width - x]];
+
+  for (const [g, left, w] of halves) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, 0, w, height);
+    ctx.clip();
+    drawGeorasterOnCanvas(ctx, scale, g, null);
+    ctx.restore();
+  }
+
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(x - 1.5 * scale, 0, 3 * scale, height);
+}
+
+// Draw a georaster (or the difference against cmp), sampling one value per output pixel
+function drawGeorasterOnCanvas(ctx, scale, g, cmp) {
+  if (!g?.values) return;
+
+  const size = state.map.getSize();
+  const w = Math.round(size.x * scale);
+  const h = Math.round(size.y * scale);
+
+  // Web Mercator: longitude depends only on x, latitude only on y
+  const cols = new Int32Array(w);
+  const rows = new Int32Array(h);
+  for (let x = 0; x < w; x++) {
+    const lng = state.map.containerPointToLatLng([(x + 0.5) / scale, 0]).lng;
+    cols[x] = Math.floor((lng - g.xmin) / g.pixelWidth);
+  }
+  for (let y = 0; y < h; y++) {
+    const lat = state.map.containerPointToLatLng([0, (y + 0.5) / scale]).lat;
+    rows[y] = Math.floor((g.ymax - lat) / g.pixelHeight);
+  }
+
+  const img = ctx.createImageData(w, h);
+  const colorCache = new Map(); // raster cell -> [r, g, b] | null
+
+  for (let y = 0; y < h; y++) {
+    const r = rows[y];
+    if (r < 0 || r >= g.height) continue;
+
+    for (let x = 0; x < w; x++) {
+      const c = cols[x];
+      if (c < 0 || c >= g.width) continue;
+
+      const key = r * g.width + c;
+      let rgb = colorCache.get(key);
+      if (rgb === undefined) {
+        const a = georasterValue(g, r, c);
+        const v = cmp ? diffValue(a, georasterValue(cmp, r, c), state.gridDiffMode) : a;
+        const hex = (v == null || Number.isNaN(v)) ? null : gridColorFor(v);
+        rgb = hex ? chroma(hex).rgb() : null;
+        colorCache.set(key, rgb);
+      }
+      if (!rgb) continue;
+
+      const i = (y * w + x) * 4;
+      img.data[i] = rgb[0];
+      img.data[i + 1] = rgb[1];
+      img.data[i + 2] = rgb[2];
+      img.data[i + 3] = 255;
+    }
+  }
+
+  const off = document.createElement("canvas");
+  off.width = w;
+  off.height = h;
+  off.getContext("2d").putImageData(img, 0, 0);
+
+  ctx.save();
+  ctx.globalAlpha = getGridOpacity();
+  ctx.drawImage(off, 0, 0);
+  ctx.restore();
+}
+
+function drawStatesOnCanvas(ctx, scale) {
+  const year = Number(state.el.yearSelect.value);
+  drawGeoJsonLayerOnCanvas(ctx, scale, state.statesLayer, "states", (f) => makeChoroplethStyle(year, f));
+  drawGeoJsonLayerOnCanvas(ctx, scale, state.boundaryLayer, state.boundaryKey, boundaryStyle);
+  drawGeoJsonLayerOnCanvas(ctx, scale, state.region?.layer, null, () => REGION_STYLE);
+}
+
+function drawGeoJsonLayerOnCanvas(ctx, scale, geoLayer, boundaryKey, styleFn) {
+  if (!geoLayer || !state.map.hasLayer(geoLayer)) return;
+
+  const layers = [];
+  geoLayer.eachLayer(layer => layers.push(layer));
+
+  // selected places last so their outlines sit on top
+  const selectedColor = (layer) =>
+    (boundaryKey === state.boundaryKey) ? selectionColor(featureName(layer.feature, boundaryKey)) : null;
+  layers.sort((a, b) => !!selectedColor(a) - !!selectedColor(b));
+
+  for (const layer of layers) {
+    const style = styleFn(layer.feature);
+    const selected = selectedColor(layer);
+
+    ctx.beginPath();
+    for (const ring of geometryRings(layer.feature.geometry)) {
+      ring.forEach(([lng, lat], i) => {
+        const p = state.map.latLngToContainerPoint([lat, lng]);
+        if (i === 0) ctx.moveTo(p.x * scale, p.y * scale);
+        else ctx.lineTo(p.x * scale, p.y * scale);
+      });
+      ctx.closePath();
+    }
+
+    if (style.fillOpacity > 0) {
+      ctx.globalAlpha = style.fillOpacity;
+      ctx.fillStyle = style.fillColor;
+      ctx.fill("evenodd");
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.lineWidth = (selected ? 2 : style.weight) * scale;
+    ctx.strokeStyle = selected ?? style.color;
+    ctx.setLineDash(style.dashArray ? style.dashArray.split(/\s+/).map(d => Number(d) * scale) : []);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+function drawPanel(ctx, x, y, w, h, scale) {
+  ctx.save();
+  ctx.fillStyle = "rgba(255,255,255,0.9)";
+  ctx.shadowColor = "rgba(0,0,0,0.15)";
+  ctx.shadowBlur = 8 * scale;
+  ctx.beginPath();
+  ctx.roundRect(x, y, w, h, 8 * scale);
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawMapTitle(ctx, scale, title) {
+  const pad = 8 * scale;
+  ctx.font = `650 ${15 * scale}px system-ui, sans-serif`;
+  const w = ctx.measureText(title).width + 2 * pad;
+  const h = 15 * scale + 2 * pad;
+
+  drawPanel(ctx, 10 * scale, 10 * scale, w, h, scale);
+  ctx.fillStyle = "#111";
+  ctx.textBaseline = "top";
+  ctx.fillText(title, 10 * scale + pad, 10 * scale + pad);
+}
+
+// Citation and basemap attribution along the bottom-left edge
+function drawCitationOnCanvas(ctx, scale) {
+  const attribution = BASEMAPS[state.basemapKey]?.url ? BASEMAPS[state.basemapKey].attribution : "";
+  const text = [`Data: ${CITATION}`, attribution && `Basemap: ${htmlToText(attribution)}`]
+    .filter(Boolean)
+    .join("  ·  ");
+
+  const pad = 6 * scale;
+  ctx.font = `${11 * scale}px system-ui, sans-serif`;
+  const w = ctx.measureText(text).width + 2 * pad;
+  const h = 11 * scale + 2 * pad;
+  const y = ctx.canvas.height - h - 10 * scale;
+
+  drawPanel(ctx, 10 * scale, y, w, h, scale);
+  ctx.fillStyle = "#333";
+  ctx.textBaseline = "top";
+  ctx.fillText(text, 10 * scale + pad, y + pad);
+}
+
+function drawGridLegendOnCanvas(ctx, scale) {
+  const info = gridLegendInfo();
+  if (!info || !gridEnabled()) return;
+
+  const w = 240 * scale;
+  const h = 74 * scale;
+  const x = ctx.canvas.width - w - 10 * scale;
+  const y = ctx.canvas.height - h - 10 * scale;
+  const pad = 10 * scale;
+
+  drawPanel(ctx, x, y, w, h, scale);
+
+  ctx.fillStyle = "#111";
+  ctx.textBaseline = "top";
+  ctx.font = `650 ${12 * scale}px system-ui, sans-serif`;
+  ctx.fillText(info.title, x + pad, y + pad);
+  ctx.font = `${12 * scale}px system-ui, sans-serif`;
+  ctx.fillText(htmlToText(info.unitsHtml), x + pad, y + pad + 15 * scale);
+
+  const barY = y + pad + 32 * scale;
+  const barW = w - 2 * pad;
+  const grad = ctx.createLinearGradient(x + pad, 0, x + pad + barW, 0);
+  info.colors.forEach((c, i) => grad.addColorStop(i / (info.colors.length - 1), c));
+  ctx.fillStyle = grad;
+  ctx.fillRect(x + pad, barY, barW, 12 * scale);
+  ctx.strokeStyle = "rgba(0,0,0,0.15)";
+  ctx.strokeRect(x + pad, barY, barW, 12 * scale);
+
+  ctx.fillStyle = "#111";
+  const labelY = barY + 16 * scale;
+  info.labels.forEach(({ text, t }) => {
+    ctx.textAlign = (t === 0) ? "left" : (t === 1) ? "right" : "center";
+    ctx.fillText(text, x + pad + t * barW, labelY);
+  });
+  ctx.textAlign = "left";
+}
+
+// Render the current map view (basemap, grid, outlines, title, legend) to a canvas
+function renderMapCanvas({ scale = 1, title = mapViewTitle(), basemap = true, citation = false } = {}) {
+  const size = state.map.getSize();
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size.x * scale);
+  canvas.height = Math.round(size.y * scale);
+
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  if (basemap) drawBasemapOnCanvas(ctx, scale);
+  drawGridOnCanvas(ctx, scale);
+  drawStatesOnCanvas(ctx, scale);
+  drawMapTitle(ctx, scale, title);
+  drawGridLegendOnCanvas(ctx, scale);
+  if (citation) drawCitationOnCanvas(ctx, scale);
+
+  return canvas;
+}
+
+// toBlob throws a SecurityError when non-CORS tiles tainted the canvas
+async function downloadCanvasPng(filename, canvas, meta = {}) {
+  const png = await canvasToPngBytes(canvas);
+  const url = URL.createObjectURL(new Blob([pngWithMetadata(png, meta)], { type: "image/png" }));
+  downloadUrl(filename, url);
+  URL.revokeObjectURL(url);
+}
+
+// Embedded in map PNGs; the grid stays in CH4 units, the choropleth follows the chart units
+function mapExportMeta(title) {
+  return {
+    Title: title,
+    Sector: labelSector(state.el.sectorSelect.value),
+    Year: state.el.yearSelect.value,
+    "Data source": swipeShown() ? swipeSourcesLabel() : emisSourceLabel(getEmisSource()),
+    "Grid units": (gridEnabled() && state.gridLayer) ? htmlToText(overlayUnitsHtml()) : "",
+    "Choropleth units": choroplethEnabled() ? state.unitLabel : "",
+    Normalization: choroplethEnabled() ? normalizationLabel() : "",
+    "GWP basis": choroplethEnabled() ? gwpBasisLabel() : "",
+    Source: CITATION,
+    Software: document.title,
+    "Creation Time": new Date().toISOString(),
+  };
+}
+
+// Render and download the map, dropping the basemap if its tiles cannot be exported
+async function downloadMapCanvas(filename, options = {}) {
+  const meta = mapExportMeta(options.title ?? mapViewTitle());
+  try {
+    await downloadCanvasPng(filename, renderMapCanvas(options), meta);
+  } catch (err) {
+    if (err?.name !== "SecurityError") throw err;
+    console.warn("Basemap tiles block image export; exporting without the basemap", err);
+    await downloadCanvasPng(filename, renderMapCanvas({ ...options, basemap: false }), meta);
+  }
+}
+
+async function downloadMapImage() {
+  const scale = Number(state.el.mapImageScaleSelect?.value) || MAP_IMAGE_SCALE;
+  const sectorKey = state.el.sectorSelect.value;
+  const year = state.el.yearSelect.value;
+  const source = swipeShown() ? swipeSourcesLabel().replace(" | ", "_vs_") : emisSourceLabel(getEmisSource());
+  const filename = `map_${labelSector(sectorKey)}_${year}_${source}_${scale}x.png`.replace(/[\s/]+/g, "_");
+
+  try {
+    await downloadMapCanvas(filename, { scale, citation: true });
+  } catch (err) {
+    console.warn("Map image export failed", err);
+    alert("Could not export the map image.");
+  }
+}
+
+/* ===================== YEAR PLAYBACK ===================== */
+
+function playbackYears() {
+  return activeYears(getEmisSource());
+}
+
+function playbackSpeedMs() {
+  const v = Number(state.el.playSpeedSelect?.value);
+  return Number.isFinite(v) && v > 0 ? v : 1000;
+}
+
+async function handleYearChange() {
+  recolorStates();
+  updateCharts();
+  await setGridLayerForSelection();
+}
+
+async function stepYear(delta) {
+  const yrs = playbackYears();
+  if (!yrs.length) return;
+
+  const i = Math.max(0, yrs.indexOf(Number(state.el.yearSelect.value)));
+  state.el.yearSelect.value = yrs[(i + delta + yrs.length) % yrs.length];
+  await handleYearChange();
+}
+
+// Start fetching every playback year for the current sector/source so frames swap instantly
+function preloadGridYears() {
+  if (!state.catalog) return;
+
+  const gridVar = gridVarForSector(state.el.sectorSelect.value);
+  const emisSource = getEmisSource();
+
+  for (const y of playbackYears()) {
+    const pair = gridEntriesForSelection(gridVar, y, emisSource);
+    for (const entry of [pair?.entry, pair?.compareEntry]) {
+      if (!entry) continue;
+      loadGeoraster(entry.tif).catch(err => console.warn("Preload failed for", entry.tif, err));
+    }
+  }
+}
+
+function schedulePlaybackTick() {
+  state.playback.timer = setTimeout(async () => {
+    if (!state.playback.playing) return;
+    try {
+      preloadGridYears();
+      await stepYear(1);
+    } catch (err) {
+      console.warn("Playback stopped", err);
+      setPlaying(false);
+    }
+    if (state.playback.playing) schedulePlaybackTick();
+  }, playbackSpeedMs());
+}
+
+function setPlaying(playing) {
+  state.playback.playing = playing;
+  clearTimeout(state.playback.timer);
+  state.playback.timer = null;
+
+  if (state.el.playButton) state.el.playButton.textContent = playing ? "❚❚ Pause" : "▶ Play";
+
+  if (playing) {
+    preloadGridYears();
+    schedulePlaybackTick();
+  }
+}
+
+// One PNG per year of the current view, for slides
+async function exportPlaybackFrames() {
+  if (state.playback.exporting) return;
+  setPlaying(false);
+
+  const btn = state.el.exportFramesButton;
+  const startYear = state.el.yearSelect.value;
+  const sectorKey = state.el.sectorSelect.value;
+  const yrs = playbackYears();
+
+  state.playback.exporting = true;
+  if (btn) btn.disabled = true;
+
+  try {
+    preloadGridYears();
+    for (let i = 0; i < yrs.length; i++) {
+      if (btn) btn.textContent = `Exporting ${i + 1}/${yrs.length}…`;
+      state.el.yearSelect.value = yrs[i];
+      await handleYearChange();
+
+      const frame = String(i + 1).padStart(2, "0");
+      const filename = `frame_${frame}_${labelSector(sectorKey)}_${yrs[i]}.png`.replace(/[\s/]+/g, "_");
+      await downloadMapCanvas(filename);
+    }
+  } catch (err) {
+    console.warn("Frame export failed", err);
+    alert("Could not export the playback frames.");
+  } finally {
+    state.el.yearSelect.value = startYear;
+    await handleYearChange();
+
+    state.playback.exporting = false;
+    if (btn) {
+      btn.disabled = false;
+      btn.textContent = "Export frames";
+    }
+  }
+}
+
+/* ===================== CUSTOM REGION ===================== */
+
+const EARTH_RADIUS_KM = 6371.0088;
+const REGION_STYLE = { color: "#1f4e99", weight: 2, dashArray: "6 4", fill: false, interactive: false };
+
+// Area of a lat/lon cell on the sphere
+function cellAreaKm2(south, north, widthDeg) {
+  const rad = Math.PI / 180;
+  return EARTH_RADIUS_KM ** 2 * (widthDeg * rad) * Math.abs(Math.sin(north * rad) - Math.sin(south * rad));
+}
+
+// Ring area on the sphere (Chamberlain & Duquette 2007); winding order doesn't matter
+function ringAreaKm2(ring) {
+  const rad = Math.PI / 180;
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lng1, lat1] = ring[j];
+    const [lng2, lat2] = ring[i];
+    sum += (lng2 - lng1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return (Math.abs(sum) * EARTH_RADIUS_KM ** 2) / 2;
+}
+
+// Outer rings minus their holes
+function geometryAreaKm2(geometry) {
+  const polygons = (geometry?.type === "Polygon") ? [geometry.coordinates]
+    : (geometry?.type === "MultiPolygon") ? geometry.coordinates
+    : [];
+  return polygons.reduce((sum, rings) =>
+    sum + rings.reduce((a, ring, i) => a + (i === 0 ? 1 : -1) * ringAreaKm2(ring), 0), 0);
+}
+
+function geometryBounds(geometry) {
+  let west = Infinity, east = -Infinity, south = Infinity, north = -Infinity;
+  for (const ring of geometryRings(geometry)) {
+    for (const [lng, lat] of ring) {
+      west = Math.min(west, lng);
+      east = Math.max(east, lng);
+      south = Math.min(south, lat);
+      north = Math.max(north, lat);
+    }
+  }
+  return { west, east, south, north };
+}
+
+// Even-odd ray casting over every ring, so holes and multipolygons both work
+function pointInGeometry(lng, lat, geometry) {
+  let inside = false;
+  for (const ring of geometryRings(geometry)) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Cells whose centers fall inside the geometry, with their areas; every manifest
+// GeoTIFF shares one grid, so this is computed once per geometry and grid
+function geometryCellWeights(owner, geometry, georaster) {
+  const { xmin, ymax, pixelWidth, pixelHeight, width, height } = georaster;
+  const gridKey = [xmin, ymax, pixelWidth, pixelHeight, width, height].join(",");
+
+  owner.weights ??= {};
+  if (owner.weights[gridKey]) return owner.weights[gridKey];
+
+  const b = geometryBounds(geometry);
+  const c0 = Math.max(0, Math.floor((b.west - xmin) / pixelWidth));
+  const c1 = Math.min(width - 1, Math.floor((b.east - xmin) / pixelWidth));
+  const r0 = Math.max(0, Math.floor((ymax - b.north) / pixelHeight));
+  const r1 = Math.min(height - 1, Math.floor((ymax - b.south) / pixelHeight));
+
+  const cells = [];
+  for (let r = r0; r <= r1; r++) {
+    const north = ymax - r * pixelHeight;
+    const lat = north - pixelHeight / 2;
+    const area = cellAreaKm2(north - pixelHeight, north, pixelWidth);
+
+    for (let c = c0; c <= c1; c++) {
+      const lng = xmin + (c + 0.5) * pixelWidth;
+      if (pointInGeometry(lng, lat, geometry)) cells.push({ row: r, col: c, area });
+    }
+  }
+
+  owner.weights[gridKey] = cells;
+  return cells;
+}
+
+// kg km-2 h-1 summed over the cells' areas -> Tg/yr
+function integrateGeoraster(georaster, cells) {
+  let kgPerHour = 0;
+  for (const { row, col, area } of cells) {
+    const v = georasterValue(georaster, row, col);
+    if (v != null) kgPerHour += v * area;
   }
-  const gradient = `linear-gradient(to right, ${colors.join(",")})`;
+  return (kgPerHour * HOURS_PER_YEAR) / 1e9;
+}
 
-  const sectorKey =
-    Object.keys(GRID_VAR_BY_SECTOR).find(k => GRID_VAR_BY_SECTOR[k] === state.currentGridVar) ??
-    DEFAULT_SECTOR;
+// Rows shaped like national CSV rows ({ [sectorKey]: Tg/yr }) per active year and zone:
+// rows[year][zone.name]. Each raster is loaded once and integrated over every zone, then
+// dropped: it bypasses the georaster cache so the map's rasters aren't evicted.
+async function computeZonalRows(zones, emisSource, onProgress) {
+  const yrs = activeYears(emisSource);
+  const sectors = state.sectorKeys.filter(s => catalogSector(s)?.grid_var);
+  const total = yrs.length * sectors.length;
+  let done = 0;
 
-  ctl._container.innerHTML = `
-    <div class="legend">
-      <div class="title">${labelSector(sectorKey)}</div>
-      <div class="units">${GRID_UNITS_HTML}</div>
-      <div class="bar" style="background:${gradient};"></div>
-      <div class="labels">
-        <span>${fmt(min)}</span>
-        <span>${fmt(max)}</span>
-      </div>
-    </div>
-  `;
+  const rows = {};
+  for (const y of yrs) {
+    rows[y] = {};
+    for (const zone of zones) rows[y][zone.name] = {};
+
+    for (const s of sectors) {
+      const entry = gridEntry(gridVarForSector(s), y, emisSource);
+      if (entry) {
+        const georaster = state.georasterCache.get(entry.tif) ?? await fetchGeoraster(entry.tif);
+        for (const zone of zones) {
+          rows[y][zone.name][s] = integrateGeoraster(georaster, geometryCellWeights(zone, zone.geometry, georaster));
+        }
+      }
+      onProgress?.(++done, total);
+    }
+  }
+  return rows;
 }
 
-async function setGridLayerForSelection() {
-  await ensureGridManifestLoaded();
+function setRegionStatus(text) {
+  if (state.el.regionStatus) state.el.regionStatus.textContent = text;
+}
+
+function updateRegionSummary() {
+  const region = state.region;
+  if (!region) return setRegionStatus("No region. Draw a rectangle or polygon, or upload a GeoJSON polygon.");
+  if (region.tooSmall) return setRegionStatus(`${region.name} is too small for the grid: no cell center falls inside it.`);
+
+  const emisSource = getEmisSource();
+  if (region.pending[emisSource]) return;
+  const rows = region.rowsBySource[emisSource];
+  if (region.failed[emisSource]) return setRegionStatus(`Could not integrate ${region.name} for ${emisSourceLabel(emisSource)}.`);
+  if (!rows) return setRegionStatus(`${region.name}: not yet integrated for ${emisSourceLabel(emisSource)}.`);
 
   const year = Number(state.el.yearSelect.value);
   const sectorKey = state.el.sectorSelect.value;
-  const gridVar = gridVarForSector(sectorKey);
+  const v = scaleVal(parseNumber(rows[year]?.[sectorKey]));
+  const area = region.areaKm2 ? ` over ${Math.round(region.areaKm2).toLocaleString()} km² of grid cells` : "";
 
-  const emisSource = getEmisSource();
-  const yearKey = (emisSource === "ghgi") ? `${year}_prior` : String(year);
-
-  const entry = state.gridManifest?.data?.[gridVar]?.[yearKey];
-  if (!entry) {
-    console.warn("No GeoTIFF entry for", { gridVar, yearKey, sectorKey });
-    state.currentGridEntry = null;
-    state.currentGridVar = null;
-    syncGridSliderToEntry();
-    updateGridLegend();
+  setRegionStatus(v == null
+    ? `${region.name}: no ${labelSector(sectorKey)} grid for ${year}.`
+    : `${region.name}: ${fmt(v)} ${chartUnitLabel()} ${labelSector(sectorKey)} in ${year} ` +
+      `(${emisSourceLabel(emisSource)})${area}.`);
+}
+
+async function ensureRegionRows(emisSource) {
+  const region = state.region;
+  // a failure is kept until the user asks again, so a missing raster isn't refetched on every redraw
+  if (!region || region.tooSmall || region.rowsBySource[emisSource] || region.pending[emisSource] || region.failed[emisSource]) return;
+
+  region.pending[emisSource] = true;
+  try {
+    const rows = await computeZonalRows([region], emisSource, (done, total) => {
+      if (state.region === region) setRegionStatus(`Integrating ${region.name}… ${done}/${total} grids`);
+    });
+
+    // totals over no cells would read as zero emissions
+    const grids = Object.values(region.weights ?? {});
+    if (grids.length && grids.every(cells => !cells.length)) {
+      region.tooSmall = true;
+    } else {
+      region.rowsBySource[emisSource] = Object.fromEntries(
+        Object.entries(rows).map(([y, byZone]) => [y, byZone[region.name]]));
+      region.areaKm2 = (grids[0] ?? []).reduce((sum, c) => sum + c.area, 0);
+    }
+  } catch (err) {
+    console.warn("Region integration failed", err);
+    region.failed[emisSource] = err;
+    reportIssue("error", region.name, `could not be integrated from the ${emisSourceLabel(emisSource)} grids (${err?.message ?? err}).`);
+  } finally {
+    delete region.pending[emisSource];
+  }
+
+  // the region may have been replaced or cleared meanwhile
+  if (state.region !== region) return;
+  updateRegionSummary();
+  if (getChartMode() === "region") updateCharts();
+}
+
+function setChartMode(mode) {
+  const el = document.querySelector(`input[name="chartMode"][value="${mode}"]`);
+  if (el) el.checked = true;
+  syncStatesOverlay();
+  updateCharts();
+}
+
+function clearRegion() {
+  if (state.region?.layer) state.map.removeLayer(state.region.layer);
+  state.region = null;
+  updateRegionSummary();
+  if (getChartMode() === "region") setChartMode("state");
+}
+
+function setRegion(name, geometry) {
+  clearRegion();
+
+  const layer = L.geoJSON(geometry, { style: REGION_STYLE, interactive: false }).addTo(state.map);
+  state.region = { name, geometry, layer, rowsBySource: {}, pending: {}, failed: {}, weights: {}, areaKm2: null, tooSmall: false };
+
+  setChartMode("region");
+  ensureRegionRows(getEmisSource());
+}
+
+// Union of every polygon in a GeoJSON object as one MultiPolygon
+function polygonGeometryFromGeoJSON(geojson) {
+  const polys = [];
+  const visit = (g) => {
+    if (!g) return;
+    if (g.type === "FeatureCollection") g.features.forEach(f => visit(f.geometry));
+    else if (g.type === "Feature") visit(g.geometry);
+    else if (g.type === "GeometryCollection") g.geometries.forEach(visit);
+    else if (g.type === "Polygon") polys.push(g.coordinates);
+    else if (g.type === "MultiPolygon") polys.push(...g.coordinates);
+  };
+  visit(geojson);
+  return polys.length ? { type: "MultiPolygon", coordinates: polys } : null;
+}
+
+function startRegionDraw(shape) {
+  const opts = { shapeOptions: { ...REGION_STYLE, interactive: true } };
+  const handler = (shape === "rectangle")
+    ? new L.Draw.Rectangle(state.map, opts)
+    : new L.Draw.Polygon(state.map, opts);
+  handler.enable();
+}
+
+async function handleRegionUpload(file) {
+  if (!file) return;
+
+  let geometry = null;
+  let name = file.name.replace(/\.(geo)?json$/i, "");
+  try {
+    const geojson = JSON.parse(await file.text());
+    geometry = polygonGeometryFromGeoJSON(geojson);
+    name = geojson.properties?.name ?? geojson.features?.[0]?.properties?.name ?? name;
+  } catch (err) {
+    console.warn("Could not read GeoJSON", err);
+  }
+
+  if (!geometry) {
+    alert("No polygon found in that file. Upload a GeoJSON Polygon, MultiPolygon or FeatureCollection of them.");
     return;
   }
+  setRegion(name, geometry);
+  state.map.fitBounds(state.region.layer.getBounds(), { maxZoom: 7 });
+}
+
+function initRegionTools() {
+  state.map.on(L.Draw.Event.CREATED, (e) => {
+    setRegion("Custom region", e.layer.toGeoJSON().geometry);
+  });
+
+  state.el.drawRectangleButton?.addEventListener("click", () => startRegionDraw("rectangle"));
+  state.el.drawPolygonButton?.addEventListener("click", () => startRegionDraw("polygon"));
+  state.el.clearRegionButton?.addEventListener("click", clearRegion);
+  state.el.regionFileInput?.addEventListener("change", async (e) => {
+    await handleRegionUpload(e.target.files?.[0]);
+    e.target.value = "";
+  });
+
+  updateRegionSummary();
+}
+
+/* ===================== BOUNDARY LAYERS ===================== */
 
-  // remove old layer
-  if (state.gridLayer) {
-    state.map.removeLayer(state.gridLayer);
-    state.gridLayer = null;
-    state.gridGeoraster = null;
+function setBoundaryStatus(text) {
+  if (state.el.boundaryStatus) state.el.boundaryStatus.textContent = text;
+}
+
+async function loadBoundaryGeo(key) {
+  if (!state.boundaryGeo[key]) {
+    const res = await fetch(BOUNDARY_LAYERS[key].path);
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${BOUNDARY_LAYERS[key].path}`);
+    state.boundaryGeo[key] = await res.json();
   }
+  return state.boundaryGeo[key];
+}
 
-  state.currentGridEntry = entry;
-  state.currentGridVar = gridVar;
+function setSelectedPlaces(names) {
+  state.selectedStates = names;
+  state.selectedState = names[0] ?? null;
+}
 
-  // reference entry ALWAYS posterior for slider + legend + colormap scaling
-  state.colorbarRefEntry = getColorbarReferenceEntry(gridVar, year) || entry;
+// Shift/ctrl/cmd-click toggles a place in the comparison set; a plain click replaces it
+function isAdditiveClick(e) {
+  const ev = e?.originalEvent;
+  return !!(ev && (ev.shiftKey || ev.ctrlKey || ev.metaKey));
+}
 
-  const resp = await fetch(entry.tif);
-  const arrayBuffer = await resp.arrayBuffer();
-  const georaster = await parseGeoraster(arrayBuffer);
-  state.gridGeoraster = georaster;
+function selectPlace(name, additive = false) {
+  const current = state.selectedStates;
 
-  state.gridLayer = new GeoRasterLayer({
-    georaster,
-    opacity: getGridOpacity(),
-    resolution: GRID_RESOLUTION,
-    pixelValuesToColorFn: (vals) => {
-      const v = vals?.[0];
-      if (v == null || Number.isNaN(v)) return null;
+  if (!additive) {
+    setSelectedPlaces([name]);
+  } else if (current.includes(name)) {
+    setSelectedPlaces(current.filter(n => n !== name));
+  } else if (current.length >= MAX_SELECTED_PLACES) {
+    alert(`Up to ${MAX_SELECTED_PLACES} places can be compared at once. Shift-click a selected one to remove it.`);
+    return;
+  } else {
+    setSelectedPlaces([...current, name]);
+  }
 
-      const dom = state.currentGridVar ? getGlobalDomainForGridVar(state.currentGridVar) : null;
-      const min = Number(dom?.min ?? 0);
-      const max = getEffectiveGridMax();
-      const denom = (max - min) || 1;
+  recolorStates();
+  restyleBoundaryLayer();
+  updateCharts();
+}
 
-      const t = Math.max(0, Math.min(1, (v - min) / denom));
-      return chroma.scale(GRID_COLORMAP)(t).hex();
+function makeBoundaryLayer(key, geojson) {
+  return L.geoJSON(geojson, {
+    style: boundaryStyle,
+    onEachFeature: (feature, layer) => {
+      layer.on("click", (e) => selectPlace(featureName(feature, key), isAdditiveClick(e)));
+      layer.on("mouseover", () => layer.setStyle({ weight: 2 }));
+      layer.on("mouseout", () => layer.setStyle(boundaryStyle(feature)));
     },
   });
+}
 
-  state.gridLayer.addTo(state.map);
+// Per-feature rows of the active non-CSV boundary layer for one source (computed once)
+async function ensureBoundaryRows(emisSource) {
+  const key = state.boundaryKey;
+  const boundary = BOUNDARY_LAYERS[key];
+  if (boundary.csv) return;
 
-  if (getChartMode() === "state" && state.statesLayer) state.statesLayer.bringToFront();
+  const zonal = (state.zonalRows[key] ??= { rowsBySource: {}, pending: {}, failed: {}, zones: null });
+  // a failure is kept until the layer is picked again, so a missing raster isn't refetched on every redraw
+  if (zonal.rowsBySource[emisSource] || zonal.pending[emisSource] || zonal.failed[emisSource]) return;
 
-  syncGridSliderToEntry();
-  updateGridLegend();
+  zonal.zones ??= (state.boundaryGeo[key]?.features ?? [])
+    .map(f => ({ name: featureName(f, key), geometry: f.geometry, weights: {} }))
+    .filter(z => z.name && geometryRings(z.geometry).length);
+
+  zonal.pending[emisSource] = true;
+  try {
+    zonal.rowsBySource[emisSource] = await computeZonalRows(zonal.zones, emisSource, (done, total) => {
+      if (state.boundaryKey === key) setBoundaryStatus(`Computing ${boundary.label.toLowerCase()} totals… ${done}/${total} grids`);
+    });
+  } catch (err) {
+    console.warn("Zonal statistics failed", err);
+    zonal.failed[emisSource] = err;
+    reportIssue("error", boundary.path,
+      `${boundary.label.toLowerCase()} totals could not be computed from the ${emisSourceLabel(emisSource)} grids (${err?.message ?? err}).`);
+  } finally {
+    delete zonal.pending[emisSource];
+  }
+
+  if (state.boundaryKey !== key) return;
+  setBoundaryStatus(zonal.rowsBySource[emisSource]
+    ? `${boundary.label}: totals integrated from the ${emisSourceLabel(emisSource)} grids (no uncertainty range).`
+    : `Could not compute ${boundary.label.toLowerCase()} totals.`);
+  if (getChartMode() === "state") updateCharts();
 }
 
-function handleGridSliderInput() {
-  if (!state.currentGridVar) return;
+function syncPlaceModeLabel() {
+  if (state.el.placeModeLabel) state.el.placeModeLabel.textContent = activeBoundary().singular;
+}
 
-  const dom = getGlobalDomainForGridVar(state.currentGridVar);
-  if (!dom) return;
+async function setBoundaryLayer(key) {
+  if (!BOUNDARY_LAYERS[key] || key === state.boundaryKey) return;
+
+  if (key !== "states") {
+    try {
+      setBoundaryStatus(`Loading ${BOUNDARY_LAYERS[key].label.toLowerCase()}…`);
+      await loadBoundaryGeo(key);
+    } catch (err) {
+      console.warn("Could not load boundary layer", key, err);
+      setBoundaryStatus(`Could not load ${BOUNDARY_LAYERS[key].label.toLowerCase()} (${BOUNDARY_LAYERS[key].path}).`);
+      state.el.boundarySelect.value = state.boundaryKey;
+      return;
+    }
+  }
 
-  const dataMin = dom.min;
-  const dataMax = dom.max;
+  if (state.boundaryLayer) state.map.removeLayer(state.boundaryLayer);
+  state.boundaryLayer = (key === "states") ? null : makeBoundaryLayer(key, state.boundaryGeo[key]);
+  state.boundaryKey = key;
+  // picking the layer again retries totals that failed before
+  if (state.zonalRows[key]) state.zonalRows[key].failed = {};
+  setSelectedPlaces([]);
 
-  state.gridMaxT = Number(state.el.gridMaxSlider.value) / 1000;
-  state.gridDisplayMax = dataMin + state.gridMaxT * (dataMax - dataMin);
+  setBoundaryStatus("");
+  syncPlaceModeLabel();
+  syncStatesOverlay();
+  updateCharts();
+}
 
-  state.el.gridMaxValue.innerHTML = `${fmt(state.gridDisplayMax)} ${GRID_UNITS_HTML}`;
+function initBoundarySelect() {
+  const el = state.el.boundarySelect;
+  if (!el) return;
 
-  state.gridLayer?.redraw?.();
-  updateGridLegend();
+  el.innerHTML = "";
+  for (const [key, b] of Object.entries(BOUNDARY_LAYERS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = b.label;
+    el.appendChild(opt);
+  }
+  el.value = state.boundaryKey;
+  syncPlaceModeLabel();
+}
+
+/* ===================== USER DATA ===================== */
+
+function setUserDataStatus(text) {
+  if (state.el.userDataStatus) state.el.userDataStatus.textContent = text;
+}
+
+function updateUserDataStatus() {
+  const ds = catalogDataset(USER_SOURCE.id);
+  if (state.el.removeUserDataButton) state.el.removeUserDataButton.disabled = !ds;
+  if (!ds) {
+    return setUserDataStatus("Drop state CSVs (State, {sector}_posterior, optional _min/_max) or GeoTIFFs " +
+      "(kg km⁻² h⁻¹) anywhere on the page. Files stay in your browser.");
+  }
+  setUserDataStatus(`${ds.label}, compared against ${emisSourceLabel(ds.prior)}: ${state.userData.notes.join("; ")}.`);
+}
+
+// Year in a file name, e.g. "inventory_2021.csv", else asked for
+function userFileYear(file) {
+  const m = file.name.match(/(?:^|\D)((?:19|20)\d\d)(?!\d)/);
+  if (m) return Number(m[1]);
+
+  const answer = prompt(`Which year does ${file.name} cover?`, state.el.yearSelect.value);
+  if (answer == null) return null;
+  const year = Number(answer.trim());
+  if (Number.isInteger(year)) return year;
+  alert(`"${answer}" is not a year; ${file.name} was skipped.`);
+  return null;
+}
+
+// Sector named in a GeoTIFF file name (its grid variable or key), else the selected sector
+function userFileSector(file) {
+  const name = file.name.toLowerCase();
+  const tokens = name.split(/[^a-z0-9]+/);
+  const sector = state.catalog.sectors.find(s => s.grid_var && name.includes(s.grid_var.toLowerCase()))
+    ?? state.catalog.sectors.find(s => tokens.includes(s.key.toLowerCase()));
+  return sector?.key ?? state.el.sectorSelect.value;
+}
+
+// The user source joins the catalog like any other dataset
+function ensureUserDataset() {
+  let ds = catalogDataset(USER_SOURCE.id);
+  if (ds) return ds;
+
+  ds = {
+    id: USER_SOURCE.id,
+    label: USER_SOURCE.label,
+    years: [],
+    prior: defaultSource(),
+    uncertainty: false,
+    national_uncertainty: false,
+    color: USER_SOURCE.color,
+    state_column: USER_SOURCE.column,
+    grid_key: "{year}_user",
+  };
+  state.catalog.datasets.push(ds);
+  state.dataByYear[ds.id] = {};
+  state.nationalByYear[ds.id] = {};
+  state.userData = { notes: [], urls: [] };
+  return ds;
+}
+
+function addUserYear(ds, year) {
+  if (!ds.years.includes(year)) ds.years = [...ds.years, year].sort((a, b) => a - b);
+}
+
+// National row shaped like the national CSVs: each sector summed over the states
+function sumStateRows(byName, emisSource) {
+  const row = {};
+  for (const s of state.sectorKeys) {
+    const vals = Object.values(byName).map(r => parseNumber(r[stateCentralCol(s, emisSource)])).filter(v => v != null);
+    if (vals.length) row[s] = vals.reduce((a, b) => a + b, 0);
+  }
+  return row;
+}
+
+async function addUserCSV(file) {
+  const year = userFileYear(file);
+  if (year == null) return null;
+
+  const rows = await fetchCSV(file);
+  const columns = Object.keys(rows[0] ?? {});
+  const sectors = state.sectorKeys.filter(s => columns.includes(fillTemplate(USER_SOURCE.column, { sector: s })));
+  if (!columns.includes("State") || !sectors.length) {
+    alert(`${file.name} needs a State column and {sector}_posterior columns, e.g. ${DEFAULT_SECTOR}_posterior.`);
+    return null;
+  }
+
+  const byName = rowsByState(rows);
+
+  const ds = ensureUserDataset();
+  state.dataByYear[ds.id][year] = byName;
+  state.nationalByYear[ds.id][year] = sumStateRows(byName, ds.id);
+  ds.uncertainty ||= sectors.some(s => columns.includes(minCol(s)) && columns.includes(maxCol(s)));
+  addUserYear(ds, year);
+  validateRows(rows, file.name, ds.id, "state");
+  return `${Object.keys(byName).length} states for ${year}`;
+}
+
+// Difference overlays compare pixel by pixel, so they need the reference source's grid
+async function userGridMismatch(georaster, gridVar, year, ds) {
+  const ref = gridEntry(gridVar, year, ds.prior)
+    ?? activeYears(ds.prior).map(y => gridEntry(gridVar, y, ds.prior)).find(Boolean);
+  if (!ref) return null;
+
+  const refRaster = await loadGeoraster(ref.tif);
+  return (refRaster.width === georaster.width && refRaster.height === georaster.height) ? null
+    : `${georaster.width}×${georaster.height} cells, not ${refRaster.width}×${refRaster.height}, so no adjustment overlay`;
+}
+
+async function addUserGeoTIFF(file) {
+  const year = userFileYear(file);
+  if (year == null) return null;
+
+  const sectorKey = userFileSector(file);
+  const gridVar = gridVarForSector(sectorKey);
+  const georaster = await parseGeoraster(await file.arrayBuffer());
+
+  const ds = ensureUserDataset();
+  // checked before the grid is registered, so a failed check leaves nothing half-added
+  let mismatch = null;
+  try {
+    mismatch = await userGridMismatch(georaster, gridVar, year, ds);
+  } catch (err) {
+    console.warn("Could not load the reference grid for", file.name, err);
+    reportIssue("warning", file.name, `could not be compared with the ${emisSourceLabel(ds.prior)} grid ` +
+      `(${err?.message ?? err}); adjustment overlays may not line up.`);
+  }
+
+  const entries = ((state.catalog.data ??= {})[gridVar] ??= {});
+  const key = gridYearKey(year, ds.id);
+  if (entries[key]) forgetUserUrl(entries[key].tif);
+
+  // the blob URL stands in for a tif path; it stays fetchable if the cache evicts it
+  const url = URL.createObjectURL(file);
+  state.userData.urls.push(url);
+  georasterCachePut(url, georaster);
+  entries[key] = { tif: url, min: georaster.mins?.[0] ?? 0, max: georaster.maxs?.[0] ?? 0 };
+  delete state.gridVarDomainCache[gridVar];
+  addUserYear(ds, year);
+
+  return `${labelSector(sectorKey)} grid for ${year}` + (mismatch ? ` (${mismatch})` : "");
+}
+
+function forgetUserUrl(url) {
+  URL.revokeObjectURL(url);
+  state.georasterCache.delete(url);
+  state.userData.urls = state.userData.urls.filter(u => u !== url);
+}
+
+// Zonal totals were integrated from the source's previous set of grids
+function dropZonalRows(emisSource) {
+  if (state.region) {
+    delete state.region.rowsBySource[emisSource];
+    delete state.region.failed[emisSource];
+  }
+  for (const zonal of Object.values(state.zonalRows)) {
+    delete zonal.rowsBySource[emisSource];
+    delete zonal.failed[emisSource];
+  }
+}
+
+async function handleUserDataFiles(files) {
+  const notes = [];
+  for (const file of files) {
+    try {
+      if (/\.(geo)?json$/i.test(file.name)) {
+        await handleRegionUpload(file);
+        continue;
+      }
+      const note = /\.tiff?$/i.test(file.name) ? await addUserGeoTIFF(file)
+        : /\.(csv|txt)$/i.test(file.name) ? await addUserCSV(file)
+        : (alert(`${file.name}: drop a state CSV, a GeoTIFF or a GeoJSON region.`), null);
+      if (note) notes.push(`${file.name}: ${note}`);
+    } catch (err) {
+      console.warn("Could not read", file.name, err);
+      alert(`Could not read ${file.name}.`);
+    }
+  }
+  if (!notes.length) return;
+
+  state.userData.notes.push(...notes);
+  dropZonalRows(USER_SOURCE.id);
+  initDataSourceSelect(USER_SOURCE.id);
+  updateUserDataStatus();
+  await handleDataSourceChange();
+}
+
+async function removeUserData() {
+  const ds = catalogDataset(USER_SOURCE.id);
+  if (!ds) return;
+
+  for (const entries of Object.values(state.catalog.data ?? {})) {
+    for (const [key, entry] of Object.entries(entries)) {
+      if (state.userData.urls.includes(entry.tif)) delete entries[key];
+    }
+  }
+  [...state.userData.urls].forEach(forgetUserUrl);
+  state.gridVarDomainCache = {};
+
+  state.catalog.datasets = state.catalog.datasets.filter(d => d !== ds);
+  delete state.dataByYear[ds.id];
+  delete state.nationalByYear[ds.id];
+  dropZonalRows(ds.id);
+  state.userData = null;
+
+  initDataSourceSelect(getEmisSource());
+  updateUserDataStatus();
+  await handleDataSourceChange();
+}
+
+// Reading is caught per file; this catches the refresh that follows (e.g. a grid reload)
+function addUserDataFiles(files) {
+  return handleUserDataFiles(files).catch(err => {
+    console.warn("Could not add user data", err);
+    reportIssue("error", files.map(f => f.name).join(", "), `could not be shown (${err?.message ?? err}).`);
+  });
+}
+
+function initUserData() {
+  const hasFiles = (e) => [...(e.dataTransfer?.types ?? [])].includes("Files");
+
+  document.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add("dropTarget");
+  });
+  document.addEventListener("dragleave", (e) => {
+    if (!e.relatedTarget) document.body.classList.remove("dropTarget");
+  });
+  document.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove("dropTarget");
+    addUserDataFiles([...e.dataTransfer.files]);
+  });
+
+  state.el.userDataFileInput?.addEventListener("change", async (e) => {
+    await addUserDataFiles([...e.target.files]);
+    e.target.value = "";
+  });
+  state.el.removeUserDataButton?.addEventListener("click", () => removeUserData().catch(err => {
+    console.warn("Could not remove user data", err);
+    reportIssue("error", USER_SOURCE.label, `could not be removed cleanly (${err?.message ?? err}).`);
+  }));
+
+  updateUserDataStatus();
+}
+
+/* ===================== FACILITIES ===================== */
+
+function parseFacility(name, sector, lat, lon, emissions) {
+  const f = {
+    name: String(name ?? "").trim() || "(unnamed facility)",
+    sector: String(sector ?? "").trim(),
+    lat: parseNumber(lat),
+    lon: parseNumber(lon),
+    emissions: parseNumber(emissions),
+  };
+  return (f.lat == null || f.lon == null) ? null : f;
+}
+
+async function fetchFacilities(path) {
+  if (/\.(geo)?json$/i.test(path)) {
+    const res = await fetch(path);
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${path}`);
+    const geo = await res.json();
+    return (geo.features ?? [])
+      .filter(f => f.geometry?.type === "Point")
+      .map(f => {
+        const p = f.properties || {};
+        const [lon, lat] = f.geometry.coordinates;
+        return parseFacility(p.name, p.sector, lat, lon, p.emissions);
+      });
+  }
+  const rows = await fetchCSV(path);
+  return rows.map(r => parseFacility(r.name, r.sector, r.lat, r.lon, r.emissions));
+}
+
+// The first of FACILITIES_PATHS that loads; throws the last error when none does
+async function loadFacilities() {
+  if (state.facilities) return state.facilities;
+
+  let lastErr;
+  for (const path of FACILITIES_PATHS) {
+    try {
+      state.facilities = (await fetchFacilities(path)).filter(Boolean);
+      return state.facilities;
+    } catch (err) {
+      lastErr = err;
+    }
+  }
+  throw lastErr;
+}
+
+function facilitySymbol(sector) {
+  return FACILITY_SYMBOLS[sector] ?? FACILITY_SYMBOLS.other;
+}
+
+// Marker edge length grows with sqrt(emissions) so symbol area tracks emissions
+function facilitySizePx(emissions, maxEmissions) {
+  if (emissions == null || !(maxEmissions > 0)) return FACILITY_MIN_PX;
+  const t = Math.sqrt(Math.max(0, emissions) / maxEmissions);
+  return Math.round(FACILITY_MIN_PX + t * (FACILITY_MAX_PX - FACILITY_MIN_PX));
+}
+
+function facilitySvg(shape, color, size) {
+  const h = size / 2;
+  const attrs = `fill="${color}" fill-opacity="0.8" stroke="#fff" stroke-width="1"`;
+  let body;
+  if (shape === "square") body = `<rect x="1" y="1" width="${size - 2}" height="${size - 2}" ${attrs}/>`;
+  else if (shape === "triangle") body = `<polygon points="${h},1 ${size - 1},${size - 1} 1,${size - 1}" ${attrs}/>`;
+  else if (shape === "diamond") body = `<polygon points="${h},1 ${size - 1},${h} ${h},${size - 1} 1,${h}" ${attrs}/>`;
+  else body = `<circle cx="${h}" cy="${h}" r="${h - 1}" ${attrs}/>`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">${body}</svg>`;
+}
+
+function facilityPopupHtml(f) {
+  const px = sampleGeoraster(state.gridGeoraster, f.lat, f.lon);
+  const gridLine = (px && !overlayIsDiverging())
+    ? `<div class="muted">Grid cell (${labelSector(sectorForGridVar(state.currentGridVar))}): ${pixelValueHtml(px.value)}</div>`
+    : "";
+
+  return `
+    <div class="pixel-info">
+      <div class="title">${escapeHtml(f.name)}</div>
+      <div><strong>Sector:</strong> ${escapeHtml(labelSector(f.sector)) || "unknown"}</div>
+      <div><strong>Reported:</strong> ${f.emissions == null ? "n/a" : `${fmt(f.emissions)} ${FACILITY_UNITS}`}</div>
+      <div class="muted">${fmtCoord(f.lat, "N", "S")}, ${fmtCoord(f.lon, "E", "W")}</div>
+      ${gridLine}
+    </div>`;
+}
+
+// Facilities matching the sector filter; the total sector shows everything
+function visibleFacilities() {
+  const sectorKey = state.el.sectorSelect.value;
+  const all = state.facilities ?? [];
+  return (sectorKey === DEFAULT_SECTOR) ? all : all.filter(f => f.sector === sectorKey);
+}
+
+function updateFacilityLayer() {
+  if (!state.facilityLayer) return;
+
+  state.facilityLayer.clearLayers();
+  if (!state.el.facilitiesToggle?.checked) return;
+
+  const shown = visibleFacilities();
+  const maxEmissions = (state.facilities ?? []).reduce((max, f) => Math.max(max, f.emissions ?? 0), 0);
+
+  const markers = shown.map(f => {
+    const { shape, color } = facilitySymbol(f.sector);
+    const size = facilitySizePx(f.emissions, maxEmissions);
+    const icon = L.divIcon({
+      className: "facility-icon",
+      html: facilitySvg(shape, color, size),
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    });
+    return L.marker([f.lat, f.lon], { icon, title: f.name })
+      .bindPopup(() => facilityPopupHtml(f));
+  });
+  state.facilityLayer.addLayers(markers);
+
+  if (state.el.facilitiesHint) {
+    const sectorKey = state.el.sectorSelect.value;
+    state.el.facilitiesHint.textContent = (sectorKey === DEFAULT_SECTOR)
+      ? `${shown.length} facilities. Symbol size scales with reported emissions.`
+      : `${shown.length} ${labelSector(sectorKey)} facilities. Symbol size scales with reported emissions.`;
+  }
+}
+
+async function handleFacilitiesToggle() {
+  const on = state.el.facilitiesToggle.checked;
+
+  if (!on) {
+    if (state.facilityLayer) state.map.removeLayer(state.facilityLayer);
+    if (state.el.facilitiesHint) state.el.facilitiesHint.textContent = "";
+    return;
+  }
+
+  try {
+    await loadFacilities();
+  } catch (err) {
+    console.warn("Could not load facilities", err);
+    state.el.facilitiesToggle.checked = false;
+    if (state.el.facilitiesHint) state.el.facilitiesHint.textContent = `Could not load ${FACILITIES_PATHS.join(" or ")}.`;
+    return;
+  }
+
+  state.facilityLayer ??= L.markerClusterGroup({ maxClusterRadius: 40, chunkedLoading: true });
+  state.facilityLayer.addTo(state.map);
+  updateFacilityLayer();
 }
 
 /* ===================== CHARTS ===================== */
 
-// Draw bar error bars using dataset[0]._errMin/_errMax
+// Draw bar error bars using each dataset's _errMin/_errMax (null where a source has no uncertainty)
 const barErrorBarsPlugin = {
   id: "barErrorBars",
   afterDatasetsDraw(chart) {
-    const emisSource = getEmisSource();
-    if (!hasUncertainty(emisSource)) return;
+    const { ctx } = chart;
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    chart.data.datasets.forEach((ds, d) => {
+      const meta = chart.getDatasetMeta(d);
+      const mins = ds._errMin || [];
+      const maxs = ds._errMax || [];
+      if (!chart.isDatasetVisible(d) || !meta?.data?.length || !mins.length || !maxs.length) return;
+
+      meta.data.forEach((barElem, i) => {
+        const yMin = mins[i];
+        const yMax = maxs[i];
+        if (yMin == null || yMax == null || Number.isNaN(yMin) || Number.isNaN(yMax)) return;
+
+        const x = barElem.x;
+        const yTop = chart.scales.y.getPixelForValue(yMax);
+        const yBot = chart.scales.y.getPixelForValue(yMin);
+        // grouped bars are narrow, so keep the caps inside them
+        const cap = Math.min(8, barElem.width / 3);
+
+        ctx.beginPath(); ctx.moveTo(x, yTop); ctx.lineTo(x, yBot); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(x - cap, yTop); ctx.lineTo(x + cap, yTop); ctx.stroke();
+        ctx.beginPath(); ctx.moveTo(x - cap, yBot); ctx.lineTo(x + cap, yBot); ctx.stroke();
+      });
+    });
+
+    ctx.restore();
+  },
+};
 
-    const meta = chart.getDatasetMeta(0);
-    if (!meta?.data?.length) return;
+// Vertical marker on the line chart at the selected year (follows playback)
+const yearMarkerPlugin = {
+  id: "yearMarker",
+  afterDatasetsDraw(chart) {
+    const i = chart.data.labels.indexOf(String(state.el.yearSelect?.value));
+    if (i < 0) return;
 
-    const ds = chart.data.datasets[0];
-    const mins = ds._errMin || [];
-    const maxs = ds._errMax || [];
-    if (!mins.length || !maxs.length) return;
+    const { ctx, chartArea } = chart;
+    const x = chart.scales.x.getPixelForValue(i);
 
-    const { ctx } = chart;
     ctx.save();
+    ctx.strokeStyle = "rgba(0,0,0,0.45)";
     ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    chart.data.datasets.forEach((ds, d) => {
+      const v = ds._value ? ds.data?.[i] : null;
+      if (!Number.isFinite(v) || !chart.isDatasetVisible(d)) return;
+
+      ctx.fillStyle = (typeof ds.borderColor === "string") ? ds.borderColor : "#000";
+      ctx.beginPath();
+      ctx.arc(x, chart.scales.y.getPixelForValue(v), 4, 0, 2 * Math.PI);
+      ctx.fill();
+    });
+    ctx.restore();
+  },
+};
 
-    meta.data.forEach((barElem, i) => {
-      const yMin = mins[i];
-      const yMax = maxs[i];
-      if (yMin == null || yMax == null || Number.isNaN(yMin) || Number.isNaN(yMax)) return;
+function getRowFor(mode, year, place = state.selectedState, emisSource = getEmisSource()) {
+  if (mode === "national") return nationalRow(emisSource, year);
+
+  if (mode === "region") {
+    return state.region?.rowsBySource?.[emisSource]?.[year] ?? null;
+  }
+
+  if (!place) return null;
+  if (modeUsesGridRows(mode)) {
+    const rows = state.zonalRows[state.boundaryKey]?.rowsBySource?.[emisSource];
+    return rows?.[year]?.[place] ?? null;
+  }
+  return stateRows(emisSource, year)[place] ?? null;
+}
+
+function buildBarData(year, mode, emisSource, place = state.selectedState) {
+  // outside its years a source's columns are blank, which would parse as 0
+  const row = sourceYears(emisSource, mode).includes(year) ? getRowFor(mode, year, place, emisSource) : null;
+  if (!row) return { labels: [], values: [], mins: [], maxs: [] };
+
+  const labels = state.sectorKeys;
+  const valueAt = (col, s) => normVal(parseNumber(row[col]), { mode, place, year, sectorKey: s });
+  const values = labels.map(s => valueAt(centralCol(s, mode, emisSource), s));
+
+  if (!hasUncertainty(emisSource, mode)) {
+    return {
+      labels,
+      values,
+      mins: labels.map(() => null),
+      maxs: labels.map(() => null),
+    };
+  }
+
+  return {
+    labels,
+    values,
+    mins: labels.map(s => valueAt(minCol(s), s)),
+    maxs: labels.map(s => valueAt(maxCol(s), s)),
+  };
+}
+
+// yrs can be wider than the source's own years (e.g. a shared axis); those points stay null
+function buildLineData(mode, sectorKey, emisSource, place = state.selectedState, yrs = sourceYears(emisSource, mode)) {
+  const labels = yrs.map(String);
+  const available = new Set(sourceYears(emisSource, mode));
+  const rows = yrs.map(y => available.has(y) ? getRowFor(mode, y, place, emisSource) : null);
+
+  const valueAt = (row, col, i) => row ? normVal(parseNumber(row[col]), { mode, place, year: yrs[i], sectorKey }) : null;
+  const values = rows.map((row, i) => valueAt(row, centralCol(sectorKey, mode, emisSource), i));
+
+  if (!hasUncertainty(emisSource, mode)) {
+    return { labels, values, mins: labels.map(() => null), maxs: labels.map(() => null) };
+  }
+
+  const mins = rows.map((row, i) => valueAt(row, minCol(sectorKey), i));
+  const maxs = rows.map((row, i) => valueAt(row, maxCol(sectorKey), i));
+
+  return { labels, values, mins, maxs };
+}
 
-      const x = barElem.x;
-      const yTop = chart.scales.y.getPixelForValue(yMax);
-      const yBot = chart.scales.y.getPixelForValue(yMin);
-      const cap = 8;
+// Every sector except the total, stacked per year; totals are kept for the hover shares
+function buildStackData(mode, emisSource, place = state.selectedState) {
+  const yrs = sourceYears(emisSource, mode);
+  const sectors = state.sectorKeys.filter(s => s !== DEFAULT_SECTOR);
+  const rows = yrs.map(y => getRowFor(mode, y, place, emisSource));
+  const valueOf = (row, s, i) =>
+    row ? normVal(parseNumber(row[centralCol(s, mode, emisSource)]), { mode, place, year: yrs[i], sectorKey: s }) : null;
 
-      ctx.beginPath(); ctx.moveTo(x, yTop); ctx.lineTo(x, yBot); ctx.stroke();
-      ctx.beginPath(); ctx.moveTo(x - cap, yTop); ctx.lineTo(x + cap, yTop); ctx.stroke();
-      ctx.beginPath(); ctx.moveTo(x - cap, yBot); ctx.lineTo(x + cap, yBot); ctx.stroke();
-    });
+  return {
+    labels: yrs.map(String),
+    sectors,
+    series: sectors.map(s => rows.map((row, i) => valueOf(row, s, i))),
+    totals: rows.map((row, i) => valueOf(row, DEFAULT_SECTOR, i)),
+  };
+}
 
-    ctx.restore();
-  },
-};
+// Share of the year's total; falls back to the stack sum when the total is missing
+function stackShare(chart, dataIndex, v) {
+  if (!Number.isFinite(v)) return null;
 
-function getRowFor(mode, year) {
-  if (mode === "national") {
-    const emisSource = getEmisSource();
-    return (emisSource === "ghgi")
-      ? (state.nationalPriorByYear?.[year] ?? null)
-      : (state.nationalPosteriorByYear?.[year] ?? null);
+  let total = chart.data._totals?.[dataIndex];
+  if (!(total > 0)) {
+    total = chart.data.datasets.reduce((sum, ds) => sum + (Number.isFinite(ds.data[dataIndex]) ? ds.data[dataIndex] : 0), 0);
   }
+  return (total > 0) ? v / total : null;
+}
 
-  if (!state.selectedState) return null;
-  return state.dataByYear?.[year]?.[state.selectedState] ?? null;
+function updateStackChart(mode, emisSource) {
+  const chart = state.stackChart;
+  if (!chart) return;
+
+  const stack = buildStackData(mode, emisSource);
+  const selectedSector = state.el.sectorSelect.value;
+
+  chart.data.labels = stack.labels;
+  chart.data._totals = stack.totals;
+  chart.data.datasets = stack.sectors.map((s, i) => ({
+    label: labelSector(s),
+    data: stack.series[i],
+    _sector: s,
+    backgroundColor: SECTOR_STACK_COLORS[i % SECTOR_STACK_COLORS.length],
+    // outline the band of the sector shown on the map and line chart
+    borderColor: (s === selectedSector) ? "#000" : "#fff",
+    borderWidth: (s === selectedSector) ? 1.5 : 0.5,
+  }));
+
+  const place = (mode === "state") ? state.selectedState : currentPlaceLabel(mode);
+  chart.options.scales.y.title.text = `Emissions (${sectorsUnitLabel()})`;
+  chart.options.plugins.title.text = `${place} – by sector (${emisSourceLabel(emisSource)})`;
+  chart.update();
 }
 
-function buildBarData(year, mode, emisSource) {
-  const row = getRowFor(mode, year);
-  if (!row) return { labels: [], values: [], mins: [], maxs: [] };
+function selectSectorFromStack(evt, elements, chart) {
+  const sectorKey = chart.data.datasets[elements[0]?.datasetIndex]?._sector;
+  if (!sectorKey || sectorKey === state.el.sectorSelect.value) return;
 
-  const labels = state.sectorKeys;
-  const values = labels.map(s => scaleVal(parseNumber(row[centralCol(s, mode, emisSource)])));
+  state.el.sectorSelect.value = sectorKey;
+  state.el.sectorSelect.dispatchEvent(new Event("change"));
+}
 
-  if (!hasUncertainty(emisSource)) {
-    return {
-      labels,
-      values,
-      mins: labels.map(() => null),
-      maxs: labels.map(() => null),
-    };
+/* ---------- trend ---------- */
+
+// Linear trend of a buildLineData series. With min/max on every point the fit is weighted by
+// σ = (max − min) / (2·1.96) and the CI follows from the weights; otherwise ordinary least
+// squares with a t-based CI from the residuals (needs 3+ years).
+function computeTrend(line) {
+  const pts = line.labels
+    .map((label, i) => ({ x: Number(label), y: line.values[i], lo: line.mins[i], hi: line.maxs[i] }))
+    .filter(p => Number.isFinite(p.y));
+  if (pts.length < 2) return null;
+
+  const withBand = pts.every(p => Number.isFinite(p.lo) && Number.isFinite(p.hi) && p.hi > p.lo);
+  const w = pts.map(p => withBand ? (2 * TREND_Z / (p.hi - p.lo)) ** 2 : 1);
+  const sw = w.reduce((a, b) => a + b, 0);
+  const xm = pts.reduce((sum, p, i) => sum + w[i] * p.x, 0) / sw;
+  const ym = pts.reduce((sum, p, i) => sum + w[i] * p.y, 0) / sw;
+  const sxx = pts.reduce((sum, p, i) => sum + w[i] * (p.x - xm) ** 2, 0);
+  if (!(sxx > 0)) return null;
+
+  const slope = pts.reduce((sum, p, i) => sum + w[i] * (p.x - xm) * (p.y - ym), 0) / sxx;
+  const intercept = ym - slope * xm;
+  const fitted = (x) => intercept + slope * x;
+
+  let halfWidth = null;
+  let method = "";
+  if (withBand) {
+    halfWidth = TREND_Z * Math.sqrt(1 / sxx);
+    method = "weighted least squares, min–max as 95% range";
+  } else if (pts.length > 2) {
+    const df = pts.length - 2;
+    const rss = pts.reduce((sum, p) => sum + (p.y - fitted(p.x)) ** 2, 0);
+    halfWidth = (T_975[df - 1] ?? TREND_Z) * Math.sqrt(rss / df / sxx);
+    method = "ordinary least squares, residual error";
   }
 
+  const first = pts[0];
+  const last = pts[pts.length - 1];
+  const change = last.y - first.y;
+
   return {
-    labels,
-    values,
-    mins: labels.map(s => scaleVal(parseNumber(row[minCol(s)]))),
-    maxs: labels.map(s => scaleVal(parseNumber(row[maxCol(s)]))),
+    slope,
+    ciLow: (halfWidth != null) ? slope - halfWidth : null,
+    ciHigh: (halfWidth != null) ? slope + halfWidth : null,
+    method,
+    firstYear: first.x,
+    lastYear: last.x,
+    change,
+    changePct: (first.y > 0) ? (change / first.y) * 100 : null,
+    // fitted line over the series' own years only (the axis may be wider)
+    values: line.labels.map(label => {
+      const x = Number(label);
+      return (x >= first.x && x <= last.x) ? fitted(x) : null;
+    }),
+    // years whose min–max range excludes the trend
+    outside: pts
+      .filter(p => Number.isFinite(p.lo) && Number.isFinite(p.hi) && (fitted(p.x) < p.lo || fitted(p.x) > p.hi))
+      .map(p => p.x),
   };
 }
 
-function buildLineData(mode, sectorKey, emisSource) {
-  const yrs = activeYears(emisSource);
-  const labels = yrs.map(String);
+function makeTrendDataset(trend) {
+  return {
+    label: "Linear trend",
+    data: trend.values,
+    borderColor: TREND_COLOR,
+    backgroundColor: TREND_COLOR,
+    borderWidth: 1.5,
+    borderDash: [2, 3],
+    pointRadius: 0,
+    fill: false,
+    tension: 0,
+    _legend: true,
+  };
+}
 
-  const values = yrs.map(y => {
-    const row = getRowFor(mode, y);
-    return row ? scaleVal(parseNumber(row[centralCol(sectorKey, mode, emisSource)])) : null;
-  });
+// Flagged years get a larger diamond marker on the value line
+function markOutsideYears(valueDataset, labels, trend) {
+  const flagged = labels.map(label => trend.outside.includes(Number(label)));
+  valueDataset.pointStyle = flagged.map(f => f ? "rectRot" : "circle");
+  valueDataset.pointRadius = flagged.map(f => f ? 5 : 2);
+}
 
-  if (!hasUncertainty(emisSource)) {
-    return { labels, values, mins: labels.map(() => null), maxs: labels.map(() => null) };
-  }
+function trendSummaryText(trend, place) {
+  const unit = state.unitLabel;
+  const ci = (trend.ciLow != null) ? ` (95% CI ${fmtSigned(trend.ciLow)} to ${fmtSigned(trend.ciHigh)})` : "";
+  const pct = (trend.changePct != null) ? ` (${fmtSigned(trend.changePct)}%)` : "";
+  const outside = trend.outside.length
+    ? ` Range excludes the trend in ${trend.outside.join(", ")}.`
+    : "";
+  return `${place}, ${trend.firstYear}–${trend.lastYear}: trend ${fmtSigned(trend.slope)} ${unit}/yr${ci}; ` +
+    `change ${fmtSigned(trend.change)} ${unit}${pct}.${outside}`;
+}
 
-  const mins = yrs.map(y => {
-    const row = getRowFor(mode, y);
-    return row ? scaleVal(parseNumber(row[minCol(sectorKey)])) : null;
-  });
+// One bar dataset per place; a single place keeps the chart's default colors
+function makeBarDataset(bar, label, color) {
+  return {
+    label,
+    data: bar.values,
+    _errMin: bar.mins,
+    _errMax: bar.maxs,
+    ...(color ? { backgroundColor: chroma(color).alpha(0.6).css(), borderColor: color, borderWidth: 1 } : {}),
+  };
+}
 
-  const maxs = yrs.map(y => {
-    const row = getRowFor(mode, y);
-    return row ? scaleVal(parseNumber(row[maxCol(sectorKey)])) : null;
-  });
+// min/max band plus the value line (flagged _value for the legend and year marker)
+function makeLineDatasets(line, label, withBand, color, dashed = false) {
+  const blanks = line.labels.map(() => null);
+  return [
+    { label: "min", data: withBand ? line.mins : blanks, pointRadius: 0, borderWidth: 0 },
+    {
+      label: "max",
+      data: withBand ? line.maxs : blanks,
+      pointRadius: 0,
+      borderWidth: 0,
+      fill: withBand ? "-1" : false,
+      backgroundColor: color ? chroma(color).alpha(0.15).css() : "rgba(0,0,0,0.12)",
+    },
+    {
+      label,
+      data: line.values,
+      tension: 0.2,
+      pointRadius: 2,
+      _value: true,
+      ...(color ? { borderColor: color, backgroundColor: color } : {}),
+      ...(dashed ? { borderDash: [6, 4] } : {}),
+    },
+  ];
+}
 
-  return { labels, values, mins, maxs };
+function finiteExtent(values, fallbackMin, fallbackMax) {
+  const finite = values.filter(Number.isFinite);
+  return finite.length
+    ? { min: Math.min(...finite), max: Math.max(...finite) }
+    : { min: fallbackMin, max: fallbackMax };
 }
 
-function clearCharts() {
+function clearCharts(message = "Click a state") {
   if (!state.barChart || !state.lineChart) return;
 
   state.barChart.data.labels = [];
-  state.barChart.data.datasets[0].data = [];
-  state.barChart.data.datasets[0]._errMin = [];
-  state.barChart.data.datasets[0]._errMax = [];
-  state.barChart.options.plugins.title.text = "Click a state";
+  state.barChart.data.datasets = [makeBarDataset({ values: [], mins: [], maxs: [] }, "Sector", null)];
+  state.barChart.options.plugins.title.text = message;
+  state.barChart.options.plugins.legend.display = false;
   state.barChart.update();
 
   state.lineChart.data.labels = [];
-  state.lineChart.data.datasets[0].data = [];
-  state.lineChart.data.datasets[1].data = [];
-  state.lineChart.data.datasets[2].data = [];
+  state.lineChart.data.datasets = makeLineDatasets({ labels: [], values: [], mins: [], maxs: [] }, "Value", false, null);
   state.lineChart.options.plugins.title.text = "";
+  state.lineChart.options.plugins.legend.display = false;
   state.lineChart.update();
+  if (state.el.trendSummary) state.el.trendSummary.textContent = "";
+
+  if (state.stackChart) {
+    state.stackChart.data.labels = [];
+    state.stackChart.data.datasets = [];
+    state.stackChart.options.plugins.title.text = "";
+    state.stackChart.update();
+  }
 }
 
 function syncChartTitles() {
   const emisSource = getEmisSource();
-  const suffix = emisSourceLabel(emisSource);
+  const suffix = chartSourceLabel(emisSource);
 
   if (state.el.barChartTitleText) {
     state.el.barChartTitleText.textContent = `Sector breakdown (${suffix})`;
   }
   if (state.el.lineChartTitle) state.el.lineChartTitle.textContent = `Timeseries (${suffix})`;
-
-  if (state.barChart?.data?.datasets?.[0]) state.barChart.data.datasets[0].label = suffix;
-  if (state.lineChart?.data?.datasets?.[2]) state.lineChart.data.datasets[2].label = suffix;
+  if (state.el.stackChartTitle) state.el.stackChartTitle.textContent = `Sector timeseries (${emisSourceLabel(emisSource)})`;
 }
 
 function updateCharts() {
@@ -768,76 +4368,101 @@ function updateCharts() {
   const emisSource = getEmisSource();
   const year = Number(state.el.yearSelect.value);
   const sectorKey = state.el.sectorSelect.value;
-  const place = currentPlaceLabel(mode);
+  const place = chartPlaceLabel(mode);
+  const sourceLabel = chartSourceLabel(emisSource);
 
   syncChartTitles();
   updateDataHint();
+  updateChangeTable();
+  updateRankingTable();
+  updateRegionSummary();
 
-  state.el.selectedState.textContent = (mode === "national")
-    ? "National"
-    : (state.selectedState ?? "(none)");
+  state.el.selectedState.textContent = currentPlaceLabel(mode);
+  writePermalink();
 
   if (!state.barChart || !state.lineChart) return;
-  if (mode === "state" && !state.selectedState) return clearCharts();
+  if (mode === "state" && !state.selectedState) return clearCharts(`Click a ${activeBoundary().singular.toLowerCase()}`);
+  // grid-integrated rows are computed per source, one source at a time
+  const series = chartSeries(mode, emisSource);
+  const sources = [...new Set(series.map(s => s.emisSource))];
+
+  if (mode === "state" && modeUsesGridRows(mode)) {
+    const zonal = state.zonalRows[state.boundaryKey];
+    const missing = sources.find(src => !zonal?.rowsBySource?.[src]);
+    if (missing && zonal?.failed[missing]) return clearCharts(`Could not compute ${activeBoundary().label.toLowerCase()} totals`);
+    if (missing) {
+      ensureBoundaryRows(missing);
+      return clearCharts(`Computing ${activeBoundary().label.toLowerCase()} totals…`);
+    }
+  }
+  if (mode === "region") {
+    if (!state.region) return clearCharts("Draw or upload a region");
+    if (state.region.tooSmall) return clearCharts(`${state.region.name} is too small for the grid`);
+    const missing = sources.find(src => !state.region.rowsBySource[src]);
+    if (missing && state.region.failed[missing]) return clearCharts(`Could not integrate ${state.region.name}`);
+    if (missing) {
+      ensureRegionRows(missing);
+      return clearCharts("Integrating region…");
+    }
+  }
+
+  const showLegend = series.length > 1;
 
   // BAR
-  const bar = buildBarData(year, mode, emisSource);
-  state.barChart.data.labels = bar.labels.map(labelSector);
-  state.barChart.data.datasets[0].data = bar.values;
-  state.barChart.data.datasets[0]._errMin = bar.mins;
-  state.barChart.data.datasets[0]._errMax = bar.maxs;
+  const bars = series.map(s => buildBarData(year, mode, s.emisSource, s.place));
+  state.barChart.data.labels = (bars.find(b => b.labels.length)?.labels ?? []).map(labelSector);
+  state.barChart.data.datasets = bars.map((bar, i) => makeBarDataset(bar, series[i].label, series[i].color));
 
-  const finiteVals = bar.values.filter(Number.isFinite);
-  const finiteMins = bar.mins.filter(Number.isFinite);
-  const finiteMaxs = bar.maxs.filter(Number.isFinite);
+  const finiteVals = bars.flatMap(b => b.values).filter(Number.isFinite);
+  const finiteMins = bars.flatMap(b => b.mins).filter(Number.isFinite);
+  const finiteMaxs = bars.flatMap(b => b.maxs).filter(Number.isFinite);
 
+  // a source without uncertainty can still top the others' max
   const overallMin = finiteMins.length ? Math.min(...finiteMins) : 0;
-  const overallMax = finiteMaxs.length
-    ? Math.max(...finiteMaxs)
-    : (finiteVals.length ? Math.max(...finiteVals) : 1);
+  const overallMax = (finiteMaxs.length || finiteVals.length) ? Math.max(...finiteMaxs, ...finiteVals) : 1;
 
   const lim = getNiceLimits(overallMin, overallMax);
   state.barChart.options.scales.y.min = lim.min;
   state.barChart.options.scales.y.max = lim.max;
-  state.barChart.options.scales.y.title.text = `Emissions (${state.unitLabel})`;
-  state.barChart.options.plugins.title.text = `${place} – ${year} (${emisSourceLabel(emisSource)})`;
+  state.barChart.options.scales.y.title.text = `Emissions (${sectorsUnitLabel()})`;
+  state.barChart.options.plugins.title.text = `${place} – ${year} (${sourceLabel})`;
+  state.barChart.options.plugins.legend.display = showLegend;
   state.barChart.update();
 
-  // LINE
-  const line = buildLineData(mode, sectorKey, emisSource);
-  state.lineChart.data.labels = line.labels;
-
-  if (hasUncertainty(emisSource)) {
-    state.lineChart.data.datasets[0].data = line.mins;
-    state.lineChart.data.datasets[1].data = line.maxs;
-    state.lineChart.data.datasets[1].fill = "-1";
-  } else {
-    const blanks = line.labels.map(() => null);
-    state.lineChart.data.datasets[0].data = blanks;
-    state.lineChart.data.datasets[1].data = blanks;
-    state.lineChart.data.datasets[1].fill = false;
+  // LINE (shared year axis, e.g. the national prior starts before the posterior)
+  const yrs = [...new Set(series.flatMap(s => sourceYears(s.emisSource, mode)))].sort((a, b) => a - b);
+  const lines = series.map(s => buildLineData(mode, sectorKey, s.emisSource, s.place, yrs));
+  const withBand = series.map(s => hasUncertainty(s.emisSource, mode));
+
+  state.lineChart.data.labels = yrs.map(String);
+  state.lineChart.data.datasets = lines.flatMap((line, i) =>
+    makeLineDatasets(line, series[i].label, withBand[i], series[i].color, series[i].dashed));
+
+  // trend for the first series with uncertainty (the posterior when comparing sources)
+  const ti = Math.max(0, withBand.indexOf(true));
+  const trend = lines[ti] ? computeTrend(lines[ti]) : null;
+  if (trend) {
+    state.lineChart.data.datasets.push(makeTrendDataset(trend));
+    markOutsideYears(state.lineChart.data.datasets[3 * ti + 2], yrs.map(String), trend);
   }
-
-  state.lineChart.data.datasets[2].data = line.values;
-
-  let lmin, lmax;
-  if (hasUncertainty(emisSource)) {
-    const finiteMins2 = line.mins.filter(Number.isFinite);
-    const finiteMaxs2 = line.maxs.filter(Number.isFinite);
-    lmin = finiteMins2.length ? Math.min(...finiteMins2) : 0;
-    lmax = finiteMaxs2.length ? Math.max(...finiteMaxs2) : 1;
-  } else {
-    const finiteVals2 = line.values.filter(Number.isFinite);
-    lmin = finiteVals2.length ? Math.min(...finiteVals2) : 0;
-    lmax = finiteVals2.length ? Math.max(...finiteVals2) : 1;
+  if (state.el.trendSummary) {
+    const label = `${series[ti].place} (${emisSourceLabel(series[ti].emisSource)})`;
+    state.el.trendSummary.textContent = trend ? trendSummaryText(trend, label) : "";
   }
 
+  const lmin = finiteExtent(lines.flatMap((l, i) => [...l.values, ...(withBand[i] ? l.mins : [])]), 0, 1).min;
+  const lmax = finiteExtent(lines.flatMap((l, i) => [...l.values, ...(withBand[i] ? l.maxs : [])]), 0, 1).max;
+
   const lim2 = getNiceLimits(lmin, lmax);
   state.lineChart.options.scales.y.min = lim2.min;
   state.lineChart.options.scales.y.max = lim2.max;
   state.lineChart.options.scales.y.title.text = `Emissions (${state.unitLabel})`;
-  state.lineChart.options.plugins.title.text = `${place} – ${labelSector(sectorKey)} (${emisSourceLabel(emisSource)})`;
+  state.lineChart.options.plugins.title.text = `${place} – ${labelSector(sectorKey)} (${sourceLabel})`;
+  state.lineChart.options.plugins.legend.display = showLegend;
   state.lineChart.update();
+
+  // STACKED SECTORS (primary place only)
+  updateStackChart(mode, emisSource);
 }
 
 function initCharts() {
@@ -859,20 +4484,438 @@ function initCharts() {
     type: "line",
     data: {
       labels: [],
-      datasets: [
-        { label: "min", data: [], pointRadius: 0, borderWidth: 0 },
-        { label: "max", data: [], pointRadius: 0, borderWidth: 0, fill: "-1", backgroundColor: "rgba(0,0,0,0.12)" },
-        { label: "Value", data: [], tension: 0.2, pointRadius: 2 },
-      ],
+      datasets: makeLineDatasets({ labels: [], values: [], mins: [], maxs: [] }, "Value", true, null),
     },
     options: {
       responsive: true,
-      plugins: { title: { display: true, text: "" }, legend: { display: false } },
+      plugins: {
+        title: { display: true, text: "" },
+        // band edges stay out of the legend
+        legend: {
+          display: false,
+          labels: { filter: (item, data) => !!(data.datasets[item.datasetIndex]?._value || data.datasets[item.datasetIndex]?._legend) },
+        },
+      },
       scales: { y: { beginAtZero: true, title: { display: true, text: `Emissions (${state.unitLabel})` } } },
     },
+    plugins: [yearMarkerPlugin],
+  });
+
+  if (!state.el.stackChart) return;
+
+  state.stackChart = new Chart(state.el.stackChart, {
+    type: "bar",
+    data: { labels: [], datasets: [] },
+    options: {
+      responsive: true,
+      interaction: { mode: "nearest", intersect: true },
+      plugins: {
+        title: { display: true, text: "" },
+        legend: { position: "bottom", labels: { boxWidth: 12 } },
+        tooltip: {
+          callbacks: {
+            label: (ctx) => {
+              const v = ctx.parsed.y;
+              const share = stackShare(ctx.chart, ctx.dataIndex, v);
+              const pct = (share != null) ? ` (${(share * 100).toFixed(1)}% of total)` : "";
+              return `${ctx.dataset.label}: ${fmt(v)} ${sectorsUnitLabel()}${pct}`;
+            },
+          },
+        },
+      },
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true, title: { display: true, text: `Emissions (${state.unitLabel})` } },
+      },
+      onClick: selectSectorFromStack,
+      onHover: (evt, elements) => {
+        evt.native.target.style.cursor = elements.length ? "pointer" : "default";
+      },
+    },
+  });
+}
+
+/* ===================== CHART EXPORT ===================== */
+
+// What an exported chart shows; used for its caption and the embedded file metadata
+function chartExportMeta(kind) {
+  const mode = getChartMode();
+  const chart = (kind === "bar") ? state.barChart : state.lineChart;
+  const labels = chart.data.labels;
+
+  return {
+    Title: chart.options.plugins.title.text,
+    Place: chartPlaceLabel(mode),
+    Sector: (kind === "bar") ? "All sectors" : labelSector(state.el.sectorSelect.value),
+    Years: (kind === "bar") ? String(state.el.yearSelect.value) : `${labels[0]}–${labels[labels.length - 1]}`,
+    Units: (kind === "bar") ? sectorsUnitLabel() : state.unitLabel,
+    Normalization: normalizationLabel(),
+    "GWP basis": gwpBasisLabel(),
+    "Data source": chartSourceLabel(getEmisSource()),
+    Source: CITATION,
+    Software: document.title,
+    "Creation Time": new Date().toISOString(),
+  };
+}
+
+function chartCaptionLines(kind, meta) {
+  const chart = (kind === "bar") ? state.barChart : state.lineChart;
+  const units = co2eActive() ? `${meta.Units} (${meta["GWP basis"]})` : meta.Units;
+  const lines = [`${meta.Place} · ${meta.Sector} · ${meta.Years} · ${units} · ${meta["Data source"]}`];
+
+  const hasRange = (kind === "bar")
+    ? chart.data.datasets.some(ds => (ds._errMin ?? []).some(Number.isFinite))
+    : chart.data.datasets.some(ds => ds.fill === "-1" && ds.data.some(Number.isFinite));
+  const range = hasRange
+    ? ((kind === "bar") ? " Error bars show the min–max range." : " Shaded band shows the min–max range.")
+    : "";
+  lines.push(`Data: ${meta.Source}.${range}`);
+  return lines;
+}
+
+// A static copy of a chart drawn on `canvas`, with the same datasets hidden
+function copyChart(chart, canvas, options, platform) {
+  const copy = new Chart(canvas, {
+    type: chart.config.type,
+    data: {
+      labels: [...chart.data.labels],
+      datasets: chart.data.datasets.map(ds => ({ ...ds, data: [...ds.data] })),
+    },
+    options: { ...chart.config.options, responsive: false, animation: false, ...options },
+    // the year marker is a UI cue, not part of the figure
+    plugins: (chart.config.plugins ?? []).filter(p => p.id !== "yearMarker"),
+    ...(platform ? { platform } : {}),
+  });
+  chart.data.datasets.forEach((_, i) => {
+    if (!chart.isDatasetVisible(i)) copy.setDatasetVisibility(i, false);
+  });
+  copy.update("none");
+  return copy;
+}
+
+// Redraw the chart off-screen at a higher pixel ratio (plugins included, so error bars and bands come along)
+function renderChartOffscreen(chart, scale) {
+  const canvas = document.createElement("canvas");
+  canvas.width = chart.width;
+  canvas.height = chart.height;
+
+  const copy = copyChart(chart, canvas, { devicePixelRatio: scale });
+
+  const out = document.createElement("canvas");
+  out.width = canvas.width;
+  out.height = canvas.height;
+  out.getContext("2d").drawImage(canvas, 0, 0);
+  copy.destroy();
+  return out;
+}
+
+// Chart image plus caption lines on a white background
+function composeChartCanvas(chartCanvas, lines, scale) {
+  const pad = 10 * scale;
+  const lineH = 16 * scale;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = chartCanvas.width;
+  canvas.height = chartCanvas.height + 2 * pad + lines.length * lineH;
+
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(chartCanvas, 0, 0);
+
+  ctx.fillStyle = "#333";
+  ctx.textBaseline = "top";
+  ctx.font = `${12 * scale}px system-ui, sans-serif`;
+  lines.forEach((line, i) => ctx.fillText(line, pad, chartCanvas.height + pad + i * lineH));
+  return canvas;
+}
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC32_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed iTXt chunk (UTF-8 text) with the given keyword
+function pngTextChunk(keyword, text) {
+  const enc = new TextEncoder();
+  const body = new Uint8Array([...enc.encode(keyword), 0, 0, 0, 0, 0, ...enc.encode(text)]);
+  const typeAndBody = new Uint8Array([...enc.encode("iTXt"), ...body]);
+
+  const chunk = new Uint8Array(12 + body.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, body.length);
+  chunk.set(typeAndBody, 4);
+  view.setUint32(8 + body.length, crc32(typeAndBody));
+  return chunk;
+}
+
+// Insert text chunks right after IHDR (8-byte signature + 25-byte IHDR chunk)
+function pngWithMetadata(pngBytes, meta) {
+  const chunks = Object.entries(meta)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => pngTextChunk(k, String(v)));
+
+  const insertAt = 33;
+  const size = pngBytes.length + chunks.reduce((sum, c) => sum + c.length, 0);
+  const out = new Uint8Array(size);
+  out.set(pngBytes.subarray(0, insertAt), 0);
+
+  let offset = insertAt;
+  for (const c of chunks) {
+    out.set(c, offset);
+    offset += c.length;
+  }
+  out.set(pngBytes.subarray(insertAt), offset);
+  return out;
+}
+
+function canvasToPngBytes(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) return reject(new Error("Could not encode image"));
+      blob.arrayBuffer().then(buf => resolve(new Uint8Array(buf)), reject);
+    }, "image/png");
   });
 }
 
+let svgContextClass = null;
+
+function loadSvgContext() {
+  svgContextClass ??= import(SVG_CONTEXT_MODULE).then(m => m.Context);
+  return svgContextClass;
+}
+
+// The chart redrawn into an SVG context (paths and text, no raster), the caption below it
+// and Dublin Core metadata. Chart.js draws through a stand-in canvas on its basic platform.
+async function makeChartSvg(chart, lines, meta) {
+  const SvgContext = await loadSvgContext();
+  const w = chart.width;
+  const chartH = chart.height;
+  const h = chartH + 20 + lines.length * 16;
+
+  const ctx = new SvgContext({ width: w, height: h });
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, w, h);
+
+  const copy = copyChart(chart, { getContext: () => ctx, width: w, height: chartH },
+    { devicePixelRatio: 1, events: [] }, Chart.BasicPlatform);
+
+  ctx.fillStyle = "#333";
+  ctx.textBaseline = "top";
+  ctx.font = "12px system-ui, sans-serif";
+  lines.forEach((line, i) => ctx.fillText(line, 10, chartH + 10 + i * 16));
+
+  // destroying the chart clears its area, so take the drawing first
+  const root = ctx.getSvg().cloneNode(true);
+  copy.destroy();
+  // namespaces set as plain attributes would be serialized twice
+  root.removeAttribute("xmlns");
+  root.removeAttribute("xmlns:xlink");
+  const svg = new XMLSerializer().serializeToString(root);
+
+  const dc = Object.entries(meta).map(([k, v]) => `${k}: ${v}`).join("; ");
+  const head = `
+  <title>${escapeHtml(meta.Title)}</title>
+  <desc>${escapeHtml(lines.join(" "))}</desc>
+  <metadata>
+    <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <rdf:Description>
+        <dc:title>${escapeHtml(meta.Title)}</dc:title>
+        <dc:description>${escapeHtml(dc)}</dc:description>
+        <dc:source>${escapeHtml(meta.Source)}</dc:source>
+        <dc:date>${escapeHtml(meta["Creation Time"])}</dc:date>
+      </rdf:Description>
+    </rdf:RDF>
+  </metadata>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${svg.replace(/^(<svg[^>]*>)/, `$1${head}`)}\n`;
+}
+
+async function downloadChartImage(kind) {
+  const mode = getChartMode();
+  if (!hasPlaceForMode(mode)) return;
+
+  const chart = (kind === "bar") ? state.barChart : state.lineChart;
+  const format = state.el.chartImageFormatSelect?.value ?? "png";
+  const scale = CHART_EXPORT_SCALE;
+
+  const meta = chartExportMeta(kind);
+  const lines = chartCaptionLines(kind, meta);
+
+  const name = (kind === "bar")
+    ? `bar_${mode}_${meta.Place}_${meta.Years}_${state.unit}`
+    : `timeseries_${mode}_${meta.Place}_${meta.Sector}_${state.unit}`;
+  const filename = `${name}.${format}`.replace(/[\s/,]+/g, "_");
+
+  try {
+    if (format === "svg") {
+      downloadText(filename, await makeChartSvg(chart, lines, meta), "image/svg+xml;charset=utf-8");
+      return;
+    }
+    const chartCanvas = renderChartOffscreen(chart, scale);
+    await downloadCanvasPng(filename, composeChartCanvas(chartCanvas, lines, scale), meta);
+  } catch (err) {
+    console.warn("Chart image export failed", err);
+    alert("Could not export the chart image.");
+  }
+}
+
+/* ===================== PERMALINKS ===================== */
+
+// Panning, opacity and colorbar tweaks replace the history entry; other view changes add one
+const PERMALINK_CONTINUOUS_KEYS = ["map", "opacity", "gmax"];
+
+function permalinkParams() {
+  const params = new URLSearchParams();
+  params.set("mode", getChartMode());
+  params.set("src", getEmisSource());
+  params.set("year", state.el.yearSelect.value);
+  params.set("sector", state.el.sectorSelect.value);
+  params.set("unit", state.unit);
+  if (state.gwp !== "none") params.set("gwp", state.gwp);
+  if (state.boundaryKey !== DEFAULT_BOUNDARY) params.set("boundary", state.boundaryKey);
+  if (state.selectedStates.length) params.set("place", state.selectedStates.join("|"));
+
+  params.set("opacity", String(Math.round(state.gridOpacity * 100)));
+  // difference overlays scale a different quantity; only the emissions max is worth keeping
+  if (state.gridDisplayMax != null && !overlayIsDiverging()) params.set("gmax", String(roundSig(state.gridDisplayMax, 4)));
+  if (state.map) {
+    const c = state.map.getCenter();
+    params.set("map", `${state.map.getZoom()}/${c.lat.toFixed(4)}/${c.lng.toFixed(4)}`);
+  }
+  return params;
+}
+
+function discretePermalinkKey(params) {
+  const p = new URLSearchParams(params);
+  for (const k of PERMALINK_CONTINUOUS_KEYS) p.delete(k);
+  return p.toString();
+}
+
+function readPermalink() {
+  const p = new URLSearchParams(location.search);
+  const num = (k) => p.get(k) ? parseNumber(p.get(k)) : null;
+  const [zoom, lat, lng] = (p.get("map") ?? "").split("/").map(x => (x === "" ? NaN : Number(x)));
+
+  return {
+    mode: p.get("mode"),
+    src: p.get("src"),
+    year: num("year"),
+    sector: p.get("sector"),
+    unit: p.get("unit"),
+    gwp: p.get("gwp") ?? "none",
+    boundary: p.get("boundary") ?? DEFAULT_BOUNDARY,
+    places: p.get("place") ? p.get("place").split("|") : [],
+    opacity: num("opacity"),
+    gridMax: num("gmax"),
+    view: [zoom, lat, lng].every(Number.isFinite) ? { zoom, center: [lat, lng] } : null,
+  };
+}
+
+// Called on every view change; no-op while a link is being restored
+function writePermalink(replace = false) {
+  if (state.permalink.restoring) return;
+
+  const params = permalinkParams();
+  const url = `${location.pathname}?${params}${location.hash}`;
+  const key = discretePermalinkKey(params);
+  // playback and animation export step through years; neither should flood the history
+  const push = !replace && !state.playback.playing && !state.playback.exporting && state.permalink.lastKey != null && key !== state.permalink.lastKey;
+  state.permalink.lastKey = key;
+
+  if (url === location.pathname + location.search + location.hash) return;
+  if (push) history.pushState(null, "", url);
+  else history.replaceState(null, "", url);
+}
+
+// Selects, units and grid scaling; unknown years and sectors fall back through initSelects,
+// and a missing mode, source or grid max falls back to the default view
+function applyPermalinkControls(link) {
+  const radios = [...document.querySelectorAll('input[name="chartMode"]')];
+  const mode = radios.some(el => el.value === link.mode) ? link.mode : "state";
+  radios.forEach(el => { el.checked = (el.value === mode); });
+
+  const src = [...state.el.dataSourceSelect.options].some(o => o.value === link.src) ? link.src : defaultSource();
+  state.el.dataSourceSelect.value = src;
+  state.emisSource = src;
+  initSelects({ year: link.year, sector: link.sector });
+
+  if (GWP_BASES[link.gwp]) {
+    state.gwp = link.gwp;
+    if (state.el.gwpSelect) state.el.gwpSelect.value = link.gwp;
+  }
+  if (CHART_UNITS[link.unit]) state.unit = link.unit;
+  initUnitSelect();
+  setUnits(state.el.unitSelect.value);
+
+  if (link.opacity != null && state.el.gridOpacitySlider) {
+    state.el.gridOpacitySlider.value = String(Math.max(0, Math.min(100, link.opacity)));
+    applyGridOpacity();
+  }
+  // clamped to the overlay's domain once the grid loads
+  state.gridDisplayMax = (link.gridMax > 0) ? link.gridMax : null;
+}
+
+// Boundary layer, selected places and map view; names missing from the layer are dropped
+async function applyPermalinkPlaces(link) {
+  if (BOUNDARY_LAYERS[link.boundary] && link.boundary !== state.boundaryKey) {
+    if (state.el.boundarySelect) state.el.boundarySelect.value = link.boundary;
+    await setBoundaryLayer(link.boundary);
+  }
+
+  const features = state.boundaryGeo[state.boundaryKey]?.features ?? [];
+  const names = new Set(features.map(f => featureName(f, state.boundaryKey)));
+  setSelectedPlaces(link.places.filter(n => names.has(n)).slice(0, MAX_SELECTED_PLACES));
+  recolorStates();
+  restyleBoundaryLayer();
+
+  if (link.view) state.map.setView(link.view.center, link.view.zoom, { animate: false });
+}
+
+async function handlePopState() {
+  const link = readPermalink();
+  setPlaying(false);
+
+  state.permalink.restoring = true;
+  try {
+    applyPermalinkControls(link);
+    await applyPermalinkPlaces(link);
+  } finally {
+    state.permalink.restoring = false;
+  }
+
+  syncStatesOverlay();
+  updateFacilityLayer();
+  updateCharts();
+  await setGridLayerForSelection();
+  redrawGrid();
+}
+
+async function copyPermalink() {
+  writePermalink(true);
+  const url = location.href;
+  const btn = state.el.copyLinkButton;
+
+  try {
+    await navigator.clipboard.writeText(url);
+    btn.textContent = "Link copied";
+    setTimeout(() => { btn.textContent = "Copy link"; }, 1500);
+  } catch (err) {
+    // the clipboard API needs a secure context; let the user copy it by hand
+    prompt("Copy this link:", url);
+  }
+}
+
 /* ===================== UI INIT + EVENTS ===================== */
 
 function populateSelect(selectEl, items, defaultValue) {
@@ -886,13 +4929,28 @@ function populateSelect(selectEl, items, defaultValue) {
   selectEl.value = defaultValue ?? items[0] ?? "";
 }
 
-function initSelects() {
+function initDataSourceSelect(selected = defaultSource()) {
+  const el = state.el.dataSourceSelect;
+  el.innerHTML = "";
+  for (const ds of state.catalog.datasets) {
+    const opt = document.createElement("option");
+    opt.value = ds.id;
+    opt.textContent = ds.label;
+    if (ds.description) opt.title = ds.description;
+    el.appendChild(opt);
+  }
+  el.value = catalogDataset(selected) ? selected : defaultSource();
+  state.emisSource = el.value;
+}
+
+// `wanted` (e.g. from a permalink) takes the place of the current selections
+function initSelects(wanted = {}) {
   const emisSource = getEmisSource();
   const yrs = activeYears(emisSource);
 
   // --- preserve current selections ---
-  const prevYear = Number(state.el.yearSelect.value);
-  const prevSector = state.el.sectorSelect.value;
+  const prevYear = wanted.year ?? Number(state.el.yearSelect.value);
+  const prevSector = wanted.sector ?? state.el.sectorSelect.value;
 
   // --- year options (changes with source) ---
   state.el.yearSelect.innerHTML = "";
@@ -916,51 +4974,137 @@ function initSelects() {
   if (prevSector && state.sectorKeys.includes(prevSector)) {
     state.el.sectorSelect.value = prevSector;
   }
+
+  initChangeYearSelects();
+}
+
+// Option labels follow the GWP basis ("Tg CO₂e/yr"); molar units stay CH4-only
+function initUnitSelect() {
+  const el = state.el.unitSelect;
+  el.innerHTML = "";
+  for (const [key, unit] of Object.entries(CHART_UNITS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = chartUnitLabel(key);
+    opt.disabled = !!unit.molar && co2eActive();
+    el.appendChild(opt);
+  }
+  el.value = (CHART_UNITS[state.unit]?.molar && co2eActive()) ? DEFAULT_CHART_UNIT : state.unit;
+}
+
+function initGwpSelect() {
+  const el = state.el.gwpSelect;
+  if (!el) return;
+  el.innerHTML = "";
+  for (const [key, basis] of Object.entries(GWP_BASES)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = basis.label;
+    el.appendChild(opt);
+  }
+  el.value = state.gwp;
+}
+
+function initGridUnitSelect() {
+  const el = state.el.gridUnitSelect;
+  if (!el) return;
+  el.innerHTML = "";
+  for (const [key, unit] of Object.entries(GRID_UNITS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = htmlToText(unit.html);
+    el.appendChild(opt);
+  }
+  el.value = state.gridUnit;
+}
+
+function handleGwpChange() {
+  state.gwp = state.el.gwpSelect.value;
+  initUnitSelect();
+  setUnits(state.el.unitSelect.value);
+  recolorStates();
+  updateCharts();
+}
+
+function handleGridUnitChange() {
+  state.gridUnit = state.el.gridUnitSelect.value;
+  syncGridSliderToEntry();
+  updateGridLegend();
 }
 
 function updateDataHint() {
   if (!state.el.dataHint) return;
-  state.el.dataHint.textContent =
-    (getEmisSource() === "ghgi") ? "Note: GHGI selection only shows 2019–2020 data." : "";
+
+  const mode = getChartMode();
+  const span = (yrs) => yrs.length ? `${yrs[0]}–${yrs[yrs.length - 1]}` : "no years";
+
+  if (compareSourcesEnabled()) {
+    const multi = mode === "state" && state.selectedStates.length > 1;
+    const sources = comparedSources();
+    const covers = sources.map(src => `${emisSourceLabel(src)} covers ${span(sourceYears(src, mode))}`);
+    const withUnc = sources.filter(src => hasUncertainty(src)).map(emisSourceLabel);
+    state.el.dataHint.textContent = `Comparing sources (prior dashed): ${covers.join("; ")}.` +
+      (withUnc.length ? ` Only ${withUnc.join(", ")} has uncertainty.` : "") +
+      (multi ? " Only the first selected place is shown." : "");
+    return;
+  }
+
+  const emisSource = getEmisSource();
+  const yrs = activeYears(emisSource);
+  const allYears = new Set(state.catalog.datasets.flatMap(d => d.years));
+  state.el.dataHint.textContent = (yrs.length < allYears.size)
+    ? `Note: ${emisSourceLabel(emisSource)} selection only shows ${span(yrs)} data.`
+    : "";
+}
+
+// Alerts and returns false when the chart mode has nothing selected to export
+function hasPlaceForMode(mode) {
+  if (mode === "state" && !state.selectedState) {
+    alert(`Click a ${activeBoundary().singular.toLowerCase()} first (or switch to National).`);
+    return false;
+  }
+  if (mode === "region" && !state.region) {
+    alert("Draw or upload a region first.");
+    return false;
+  }
+  return true;
+}
+
+async function handleDataSourceChange() {
+  state.emisSource = getEmisSource();
+
+  initSelects();
+  syncChartTitles();
+  recolorStates();
+  updateCharts();
+
+  // Refresh grid to prior/posterior tif (and reset scaling)
+  await setGridLayerForSelection();
 }
 
 function wireEvents() {
   // Mode toggle
   document.querySelectorAll('input[name="chartMode"]').forEach(el => {
     el.addEventListener("change", async () => {
-      const mode = getChartMode();
-      if (mode === "national") hideStatesOverlay();
-      else { showStatesOverlay(); recolorStates(); }
-
+      // picking the region again retries a failed integration
+      if (el.value === "region" && state.region) state.region.failed = {};
+      syncStatesOverlay();
       updateCharts();
-
-      if (mode === "state" && state.gridLayer && state.statesLayer) {
-        state.statesLayer.bringToFront();
-      }
     });
   });
 
   // Data source selector
-  state.el.dataSourceSelect?.addEventListener("change", async () => {
-    state.emisSource = getEmisSource();
+  state.el.dataSourceSelect?.addEventListener("change", handleDataSourceChange);
 
-    initSelects();
-    syncChartTitles();
-    recolorStates();
-    updateCharts();
-
-    // Refresh grid to prior/posterior tif (and reset scaling)
-    await setGridLayerForSelection();
-  });
+  state.el.compareSourcesToggle?.addEventListener("change", () => updateCharts());
 
   // Year/Sector
-  state.el.yearSelect.addEventListener("change", async () => {
-    recolorStates();
-    updateCharts();
-    await setGridLayerForSelection();
-  });
+  state.el.yearSelect.addEventListener("change", handleYearChange);
 
   state.el.sectorSelect.addEventListener("change", async () => {
+    setUnits(state.el.unitSelect.value); // the per-activity unit follows the sector
+    recolorStates();
+    updateFacilityLayer();
     updateCharts();
     await setGridLayerForSelection();
   });
@@ -968,30 +5112,52 @@ function wireEvents() {
   // Units
   state.el.unitSelect.addEventListener("change", () => {
     setUnits(state.el.unitSelect.value);
+    recolorStates();
     updateCharts();
   });
+  state.el.normalizationSelect?.addEventListener("change", handleNormalizationChange);
+  state.el.gwpSelect?.addEventListener("change", handleGwpChange);
+  state.el.gridUnitSelect?.addEventListener("change", handleGridUnitChange);
+
+  // Prior | posterior swipe
+  state.el.gridSwipeToggle?.addEventListener("change", handleGridSwipeToggle);
+
+  // Facilities
+  state.el.facilitiesToggle?.addEventListener("change", handleFacilitiesToggle);
+
+  // Basemap
+  state.el.basemapSelect?.addEventListener("change", () => setBasemap(state.el.basemapSelect.value));
+
+  // Boundary layer
+  state.el.boundarySelect?.addEventListener("change", () => setBoundaryLayer(state.el.boundarySelect.value));
+
+  // Map layers + choropleth classes
+  state.el.mapLayerSelect?.addEventListener("change", () => {
+    state.mapLayers = state.el.mapLayerSelect.value;
+    syncGridVisibility();
+    syncStatesOverlay();
+  });
+
+  state.el.choroplethMethodSelect?.addEventListener("change", () => {
+    state.choroplethMethod = state.el.choroplethMethodSelect.value;
+    recolorStates();
+  });
 
   // CSV export
   state.el.downloadBarCsv?.addEventListener("click", () => {
     const mode = getChartMode();
-    if (mode === "state" && !state.selectedState) {
-      alert("Click a state first (or switch to National).");
-      return;
-    }
+    if (!hasPlaceForMode(mode)) return;
     const year = state.el.yearSelect.value;
-    const place = (mode === "national") ? "National" : state.selectedState;
+    const place = currentPlaceLabel(mode);
     const filename = `bar_${mode}_${place}_${year}_${state.unit}.csv`.replace(/\s+/g, "_");
     downloadText(filename, toCSV(makeBarCsvRows(mode, Number(year))));
   });
 
   state.el.downloadLineCsv?.addEventListener("click", () => {
     const mode = getChartMode();
-    if (mode === "state" && !state.selectedState) {
-      alert("Click a state first (or switch to National).");
-      return;
-    }
+    if (!hasPlaceForMode(mode)) return;
     const sectorKey = state.el.sectorSelect.value;
-    const place = (mode === "national") ? "National" : state.selectedState;
+    const place = currentPlaceLabel(mode);
     const filename = `timeseries_${mode}_${place}_${labelSector(sectorKey)}_${state.unit}.csv`
       .replace(/\s+/g, "_");
     downloadText(filename, toCSV(makeLineCsvRows(mode, sectorKey)));
@@ -1001,18 +5167,78 @@ function wireEvents() {
     const year = Number(state.el.yearSelect.value);
     const emisSource = getEmisSource();
 
-    const url = NETCDF_PATH(year, emisSource); // or NETCDF_PATH(year, emisSource)
+    // every variable of a year comes from the same NetCDF
+    const entry = gridEntry(gridVarForSector(DEFAULT_SECTOR), year, emisSource);
+    if (!entry?.nc) {
+      alert(`No NetCDF file is listed for ${emisSourceLabel(emisSource)} ${year}.`);
+      return;
+    }
     const filename = `emissions_${emisSourceLabel(emisSource)}_${year}.nc`.replace(/\s+/g, "_");
 
-    downloadUrl(filename, url);
+    downloadUrl(filename, entry.nc);
   });
 
+  state.el.downloadMapPng?.addEventListener("click", downloadMapImage);
+  state.el.downloadBarImage?.addEventListener("click", () => downloadChartImage("bar"));
+  state.el.downloadLineImage?.addEventListener("click", () => downloadChartImage("line"));
+
   // Grid toggle + slider
   state.el.gridOpacitySlider?.addEventListener("input", () => {
     applyGridOpacity();
   });
+  state.el.gridOpacitySlider?.addEventListener("change", () => writePermalink(true));
 
   state.el.gridMaxSlider.addEventListener("input", handleGridSliderInput);
+  state.el.gridMinSlider?.addEventListener("input", handleGridMinSliderInput);
+  state.el.gridMinInput?.addEventListener("change", handleGridNumberInput);
+  state.el.gridMaxInput?.addEventListener("change", handleGridNumberInput);
+  state.el.gridMaxSlider.addEventListener("change", () => writePermalink(true));
+  state.el.gridMaxInput?.addEventListener("change", () => writePermalink(true));
+
+  // Colormap + stretch
+  state.el.gridColormapSelect?.addEventListener("change", handleGridColorOptionsChange);
+  state.el.gridStretchSelect?.addEventListener("change", handleGridColorOptionsChange);
+
+  // Emissions vs. difference overlay
+  state.el.gridOverlaySelect?.addEventListener("change", handleGridOverlayChange);
+  state.el.gridDiffModeSelect?.addEventListener("change", handleGridOverlayChange);
+
+  // Permalinks
+  state.map.on("moveend", () => writePermalink(true));
+  window.addEventListener("popstate", handlePopState);
+  state.el.copyLinkButton?.addEventListener("click", copyPermalink);
+
+  // Year playback
+  state.el.playButton?.addEventListener("click", () => setPlaying(!state.playback.playing));
+  state.el.stepBackButton?.addEventListener("click", () => { setPlaying(false); stepYear(-1); });
+  state.el.stepForwardButton?.addEventListener("click", () => { setPlaying(false); stepYear(1); });
+  state.el.exportFramesButton?.addEventListener("click", exportPlaybackFrames);
+
+  // Year comparison
+  state.el.changeBaseYearSelect?.addEventListener("change", handleChangeYearsChange);
+  state.el.changeTargetYearSelect?.addEventListener("change", handleChangeYearsChange);
+
+  state.el.downloadChangeCsv?.addEventListener("click", () => {
+    const { base, target } = changeYears();
+    const sectorKey = state.el.sectorSelect.value;
+    const filename = `change_${labelSector(sectorKey)}_${base}_${target}_${state.unit}.csv`.replace(/\s+/g, "_");
+    downloadText(filename, toCSV(makeChangeCsvRows()));
+  });
+
+  // State ranking
+  state.el.rankingTable?.addEventListener("click", handleRankingTableClick);
+  state.el.rankingFilterInput?.addEventListener("input", () => {
+    state.ranking.filter = state.el.rankingFilterInput.value;
+    updateRankingTable();
+  });
+
+  state.el.downloadRankingCsv?.addEventListener("click", () => {
+    const sectorKey = state.el.sectorSelect.value;
+    const year = state.el.yearSelect.value;
+    const filename = `ranking_${labelSector(sectorKey)}_${year}_${emisSourceLabel(getEmisSource())}_${state.unit}.csv`
+      .replace(/[\s/]+/g, "_");
+    downloadText(filename, toCSV(makeRankingCsvRows()));
+  });
 }
 
 function handleResponsiveResize() {
@@ -1026,23 +5252,25 @@ function handleResponsiveResize() {
 async function initMap() {
   state.map = L.map("map").setView([39, -98], 4);
 
-  L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
-    maxZoom: 10,
-    attribution: "&copy; OpenStreetMap contributors",
-  }).addTo(state.map);
+  setBasemap(readStoredBasemap() ?? DEFAULT_BASEMAP);
+  initBasemapSelect();
+
+  initSwipeControl();
 
-  const res = await fetch(STATES_GEOJSON_PATH);
-  const statesGeo = await res.json();
+  // without the states the map and charts still work; only the outlines and clicks are lost
+  let statesGeo = { type: "FeatureCollection", features: [] };
+  try {
+    statesGeo = await loadBoundaryGeo("states");
+  } catch (err) {
+    reportIssue("error", STATES_GEOJSON_PATH, `could not be loaded (${err?.message ?? err}); the map shows no states.`);
+  }
 
   state.statesLayer = L.geoJSON(statesGeo, {
     style: (feature) => makeChoroplethStyle(Number(state.el.yearSelect.value), feature),
     onEachFeature: (feature, layer) => {
-      layer.on("click", () => {
-        const props = feature.properties || {};
-        state.selectedState = props.name || props.NAME || props.STATE_NAME;
-
-        recolorStates();
-        updateCharts();
+      layer.on("click", (e) => {
+        // states are only a place while they are the active boundary layer
+        if (state.boundaryKey === "states") selectPlace(featureName(feature), isAdditiveClick(e));
       });
 
       layer.on("mouseover", () => layer.setStyle({ weight: 2 }));
@@ -1060,6 +5288,32 @@ async function initMap() {
   };
   state.gridLegendControl.addTo(state.map);
   L.DomEvent.disableClickPropagation(state.gridLegendControl.getContainer());
+
+  // Grid loading indicator
+  state.gridLoadingControl = L.control({ position: "topright" });
+  state.gridLoadingControl.onAdd = function () {
+    const div = L.DomUtil.create("div");
+    div.className = "grid-loading";
+    div.innerHTML = `<span class="spinner"></span>Loading emissions grid…`;
+    div.style.display = "none";
+    return div;
+  };
+  state.gridLoadingControl.addTo(state.map);
+
+  // State choropleth legend control
+  state.choroplethLegendControl = L.control({ position: "bottomright" });
+  state.choroplethLegendControl.onAdd = function () {
+    const div = L.DomUtil.create("div");
+    div.className = "legend";
+    div.style.display = "none";
+    return div;
+  };
+  state.choroplethLegendControl.addTo(state.map);
+  L.DomEvent.disableClickPropagation(state.choroplethLegendControl.getContainer());
+
+  initPixelInspector();
+  initRegionTools();
+  initUserData();
 }
 
 /* ===================== BOOTSTRAP ===================== */
@@ -1069,29 +5323,104 @@ async function main() {
     yearSelect: $("yearSelect"),
     sectorSelect: $("sectorSelect"),
     unitSelect: $("unitSelect"),
+    normalizationSelect: $("normalizationSelect"),
+    gwpSelect: $("gwpSelect"),
+    copyLinkButton: $("copyLinkButton"),
+    gridUnitSelect: $("gridUnitSelect"),
+    normalizationHint: $("normalizationHint"),
     dataSourceSelect: $("dataSourceSelect"),
+    compareSourcesToggle: $("compareSourcesToggle"),
     gridOpacitySlider: $("gridOpacitySlider"),
     gridOpacityValue: $("gridOpacityValue"),
     gridMaxSlider: $("gridMaxSlider"),
     gridMaxValue: $("gridMaxValue"),
+    gridMinSlider: $("gridMinSlider"),
+    gridMinValue: $("gridMinValue"),
+    gridMinInput: $("gridMinInput"),
+    gridMaxInput: $("gridMaxInput"),
+    gridColormapSelect: $("gridColormapSelect"),
+    gridStretchSelect: $("gridStretchSelect"),
     selectedState: $("selectedState"),
     downloadBarCsv: $("downloadBarCsv"),
     downloadLineCsv: $("downloadLineCsv"),
     downloadNetcdf: $("downloadNetcdf"),
+    downloadMapPng: $("downloadMapPng"),
+    mapImageScaleSelect: $("mapImageScaleSelect"),
+    downloadBarImage: $("downloadBarImage"),
+    downloadLineImage: $("downloadLineImage"),
+    chartImageFormatSelect: $("chartImageFormatSelect"),
     barChart: $("barChart"),
     lineChart: $("lineChart"),
     barChartTitleText: $("barChartTitleText"),
     lineChartTitle: $("lineChartTitle"),
+    trendSummary: $("trendSummary"),
+    stackChart: $("stackChart"),
+    stackChartTitle: $("stackChartTitle"),
     dataHint: $("dataHint"),
+    dataStatus: $("dataStatus"),
+    dataStatusList: $("dataStatusList"),
+    mapLayerSelect: $("mapLayerSelect"),
+    choroplethMethodSelect: $("choroplethMethodSelect"),
+    gridOverlaySelect: $("gridOverlaySelect"),
+    gridDiffModeSelect: $("gridDiffModeSelect"),
+    gridOverlayHint: $("gridOverlayHint"),
+    changeBaseYearSelect: $("changeBaseYearSelect"),
+    changeTargetYearSelect: $("changeTargetYearSelect"),
+    changeTable: $("changeTable"),
+    downloadChangeCsv: $("downloadChangeCsv"),
+    rankingTable: $("rankingTable"),
+    rankingFilterInput: $("rankingFilterInput"),
+    rankingHint: $("rankingHint"),
+    downloadRankingCsv: $("downloadRankingCsv"),
+    playButton: $("playButton"),
+    stepBackButton: $("stepBackButton"),
+    stepForwardButton: $("stepForwardButton"),
+    playSpeedSelect: $("playSpeedSelect"),
+    exportFramesButton: $("exportFramesButton"),
+    drawRectangleButton: $("drawRectangleButton"),
+    drawPolygonButton: $("drawPolygonButton"),
+    clearRegionButton: $("clearRegionButton"),
+    regionFileInput: $("regionFileInput"),
+    regionStatus: $("regionStatus"),
+    userDataFileInput: $("userDataFileInput"),
+    removeUserDataButton: $("removeUserDataButton"),
+    userDataStatus: $("userDataStatus"),
+    boundarySelect: $("boundarySelect"),
+    boundaryStatus: $("boundaryStatus"),
+    placeModeLabel: $("placeModeLabel"),
+    facilitiesToggle: $("facilitiesToggle"),
+    gridSwipeToggle: $("gridSwipeToggle"),
+    basemapSelect: $("basemapSelect"),
+    basemapStatus: $("basemapStatus"),
+    facilitiesHint: $("facilitiesHint"),
   };
 
+  try {
+    await loadCatalog();
+  } catch (err) {
+    reportIssue("error", CATALOG_PATH, `could not be loaded (${err?.message ?? err}); no data can be shown.`);
+    return;
+  }
+  initDataSourceSelect();
   await loadStateCSVs();
   await loadNationalCSVs();
 
   initSelects();
-  setUnits(state.el.unitSelect.value);
+  initGwpSelect();
+  initUnitSelect();
+  initNormalizationSelect();
+  const link = readPermalink();
+  applyPermalinkControls(link);
+  state.mapLayers = state.el.mapLayerSelect?.value ?? MAP_LAYERS;
+  initGridColormapSelect();
+  initGridUnitSelect();
+  initBoundarySelect();
+  state.choroplethMethod = state.el.choroplethMethodSelect?.value ?? CHOROPLETH_METHOD;
 
   await initMap();
+  await applyPermalinkPlaces(link);
+  state.permalink.restoring = false;
+
   initCharts();
   syncChartTitles();
 
@@ -1101,9 +5430,7 @@ async function main() {
   });
 
 
-  if (getChartMode() === "national") hideStatesOverlay();
-
-  recolorStates();
+  syncStatesOverlay();
   updateCharts();
 
   syncGridOpacityUI();
@@ -13,6 +13,7 @@ from rasterio.enums import Resampling
 IN_DIR = Path("data/nc")  # netcdf files
 OUT_DIR = Path("data")  # geotiffs + manifest.json
 STATES_GEOJSON = Path("data/ne/us_states_simplified.geojson")
+SOURCES_JSON = Path("scripts/sources.json")  # datasets and sectors for the catalog
 CLIP_TO_STATES = True
 # ----------------------------------
 
@@ -31,6 +32,15 @@ VARS = [
     "EmisCH4_Wetlands",
 ]
 
+# Data sources (first = default) and sectors come from SOURCES_JSON, so adding a
+# source or sector needs no change here. A NetCDF belongs to the first dataset whose
+# `match` is in its file name; `grid_key` names its entries in data[var] and its
+# GeoTIFFs, `state_column` its columns in the state CSVs. A sector's `grid_var` is
+# its gridded variable; sectors without one show the total grid on the map.
+SOURCES = json.loads(SOURCES_JSON.read_text())
+DATASETS = SOURCES["datasets"]
+SECTORS = SOURCES["sectors"]
+
 # optional: clamp tiny negatives to 0 (often numerical noise)
 CLAMP_NEG_TO_ZERO = True
 # ----------------------------------
@@ -53,7 +63,19 @@ def infer_year(path: Path) -> str:
     raise ValueError(f"Couldn't infer year from {path.name}")
 
 
+def match_dataset(path: Path) -> dict:
+    name = path.name.lower()
+    for dataset in DATASETS:
+        if dataset["match"] in name:
+            return dataset
+    raise ValueError(f"No dataset matches {path.name}")
+
+
+dataset_years = {d["id"]: set() for d in DATASETS}
+
 manifest = {
+    "datasets": [],
+    "sectors": SECTORS,
     "variables": VARS,
     "years": [],
     "data": {},  # data[var][year] = {tif,nc,min,max}
@@ -61,9 +83,11 @@ manifest = {
 
 for nc_path in sorted(IN_DIR.glob("*.nc")):
     year = infer_year(nc_path)
-    print(f"\nProcessing {nc_path.name} for year {year}...\n")
-    
-    prior = "prior" in nc_path.name.lower()
+    dataset = match_dataset(nc_path)
+    grid_key = dataset["grid_key"].format(year=year)
+    print(f"\nProcessing {nc_path.name} for {dataset['id']} {year}...\n")
+
+    dataset_years[dataset["id"]].add(int(year))
     if year not in manifest["years"]:
         manifest["years"].append(year)
 
@@ -106,10 +130,7 @@ for nc_path in sorted(IN_DIR.glob("*.nc")):
             arr = arr.copy()
             arr[out_mask] = np.nan
 
-        if prior:
-            tif_name = f"{var}_{year}_prior.tif"
-        else:
-            tif_name = f"{var}_{year}.tif"
+        tif_name = f"{var}_{grid_key}.tif"
         OUT_DIR_tif = OUT_DIR / "tif"
         OUT_DIR_tif.mkdir(parents=True, exist_ok=True)
         tif_path = OUT_DIR_tif / tif_name
@@ -143,25 +164,24 @@ for nc_path in sorted(IN_DIR.glob("*.nc")):
             vmax = 0.0
 
         manifest["data"].setdefault(var, {})
-        if prior:
-            manifest["data"][var][f"{year}_prior"] = {
-                "tif": f"data/tif/{tif_name}",
-                "nc": f"data/nc/{nc_path.name}",
-                "min": vmin,
-                "max": vmax,
-            }
-        else:
-            manifest["data"][var][year] = {
-                "tif": f"data/tif/{tif_name}",
-                "nc": f"data/nc/{nc_path.name}",
-                "min": vmin,
-                "max": vmax,
-            }
+        manifest["data"][var][grid_key] = {
+            "tif": f"data/tif/{tif_name}",
+            "nc": f"data/nc/{nc_path.name}",
+            "min": vmin,
+            "max": vmax,
+        }
 
         print(f"Wrote {tif_path}")
 
     ds.close()
 
 manifest["years"] = sorted(manifest["years"])
+for dataset in DATASETS:
+    years = sorted(dataset_years[dataset["id"]])
+    if not years:
+        print(f"Skipping dataset {dataset['id']} (no NetCDF files)")
+        continue
+    entry = {k: v for k, v in dataset.items() if k != "match"}
+    manifest["datasets"].append({"id": entry.pop("id"), "label": entry.pop("label"), "years": years, **entry})
 (OUT_DIR / "manifest.json").write_text(json.dumps(manifest, indent=2))
 print("Wrote data/manifest.json")